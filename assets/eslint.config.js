@@ -43,45 +43,10 @@ export default [
       // ACCESSIBILITY RULES (Critical for UX)
       // =================================================================
 
-      // Interactive elements must be focusable
-      'svelte/a11y-no-noninteractive-tabindex': 'error',
-
-      // Click handlers need keyboard equivalents
-      'svelte/a11y-click-events-have-key-events': 'error',
-
-      // Mouse events need keyboard equivalents
-      'svelte/a11y-mouse-events-have-key-events': 'error',
-
-      // No autofocus (disorienting for screen readers)
-      'svelte/a11y-no-autofocus': 'warn',
-
-      // Images need alt text
-      'svelte/a11y-missing-attribute': 'error',
-
-      // Interactive elements need accessible names
-      'svelte/a11y-label-has-associated-control': 'error',
-
-      // Valid ARIA attributes
-      'svelte/a11y-aria-attributes': 'error',
-      'svelte/a11y-incorrect-aria-attribute-type': 'error',
-      'svelte/a11y-unknown-aria-attribute-type': 'error',
-      'svelte/a11y-hidden': 'error',
-
-      // Role requirements
-      'svelte/a11y-role-has-required-aria-props': 'error',
-      'svelte/a11y-no-redundant-roles': 'warn',
-
-      // Media accessibility
-      'svelte/a11y-media-has-caption': 'warn',
-
-      // Structure
-      'svelte/a11y-structure': 'error',
-
-      // No distracting elements
-      'svelte/a11y-distracting-elements': 'error',
-
-      // Positive tabindex is bad for a11y
-      'svelte/a11y-positive-tabindex': 'error',
+      // The Svelte compiler's a11y warnings (tabindex, click/key events,
+      // alt text, ARIA roles and attributes, autofocus, ...) are reported
+      // through svelte/valid-compile, which flat/recommended enables
+      'svelte/valid-compile': 'error',
 
       // =================================================================
       // SVELTE BEST PRACTICES
@@ -54,6 +54,7 @@ export { default as EmptyState } from './EmptyState.svelte';
 // Real-time Components
 export { default as RealtimeList } from './RealtimeList.svelte';
 export { default as TypingIndicator } from './TypingIndicator.svelte';
+export { default as RemoteCursors } from './RemoteCursors.svelte';
 
 // DX Components
 export { default as ErrorBoundary } from './ErrorBoundary.svelte';
@@ -0,0 +1,208 @@
+/**
+ * LiveSocket Connection Lifecycle
+ *
+ * Stores fed by the Phoenix socket behind the LiveSocket: connection
+ * status, round-trip latency, reconnect attempts and the time until the
+ * next automatic retry.
+ *
+ * Features:
+ * - Status from the socket's onOpen/onClose/onError callbacks
+ * - Periodic latency pings
+ * - Reconnect attempt counter and retry countdown
+ * - `retryNow()` to skip the backoff
+ *
+ * Usage:
+ *   import { connection, retryIn, retryNow } from '$lib/connection';
+ *
+ *   // setLiveSocket(liveSocket) starts watching automatically
+ *
+ *   {#if $connection.status === 'disconnected'}
+ *     Reconnecting in {$retryIn}s <button on:click={retryNow}>Retry now</button>
+ *   {/if}
+ */
+
+import { writable, derived, get } from 'svelte/store';
+import { updateConnectionState } from './debug.js';
+
+// =============================================================================
+// State
+// =============================================================================
+
+/**
+ * @typedef {object} ConnectionState
+ * @property {'connecting' | 'connected' | 'disconnected' | 'error'} status
+ * @property {number | null} latency - Last round-trip time in ms
+ * @property {number | null} lastPing - Timestamp of the last successful ping
+ * @property {number} reconnectAttempts - Failed connection attempts since the last open
+ * @property {number | null} nextRetryAt - Timestamp of the next automatic retry
+ * @property {any} lastError - Last socket error event
+ */
+
+const initialState = {
+  status: 'connecting',
+  latency: null,
+  lastPing: null,
+  reconnectAttempts: 0,
+  nextRetryAt: null,
+  lastError: null
+};
+
+const state = writable({ ...initialState });
+
+/**
+ * Connection state fed by the LiveSocket.
+ * @type {import('svelte/store').Readable<ConnectionState>}
+ */
+export const connection = { subscribe: state.subscribe };
+
+/**
+ * Whole seconds until the next automatic retry, or null when none is scheduled.
+ * @type {import('svelte/store').Readable<number | null>}
+ */
+export const retryIn = derived(state, ($state, set) => {
+  if (!$state.nextRetryAt) {
+    set(null);
+    return undefined;
+  }
+
+  const tick = () => set(Math.max(0, Math.ceil(($state.nextRetryAt - Date.now()) / 1000)));
+  tick();
+  const interval = setInterval(tick, 250);
+  return () => clearInterval(interval);
+}, null);
+
+function setState(changes) {
+  state.update((current) => ({ ...current, ...changes }));
+
+  // Keep the debug tools' connectionState in sync
+  const { status, latency, lastPing, reconnectAttempts } = get(state);
+  updateConnectionState({ connected: status === 'connected', latency, lastPing, reconnectAttempts });
+}
+
+// =============================================================================
+// Socket Watching
+// =============================================================================
+
+// Phoenix's default reconnect backoff, used when the socket doesn't expose its own
+const defaultReconnectAfterMs = (tries) =>
+  [10, 50, 100, 150, 200, 250, 500, 1000, 2000][tries - 1] || 5000;
+
+let watched = null;
+
+/**
+ * Start feeding the connection stores from a LiveSocket.
+ * Called by setLiveSocket(); replaces any previously watched socket.
+ *
+ * @param {object} liveSocket - LiveSocket instance
+ * @param {object} [options]
+ * @param {number} [options.pingInterval=10000] - Latency ping interval in ms (0 disables)
+ * @returns {() => void} Stop watching
+ */
+export function watchConnection(liveSocket, { pingInterval = 10000 } = {}) {
+  stopWatching();
+
+  const socket = liveSocket?.getSocket?.();
+  if (!socket?.onOpen) return () => {};
+
+  let retryTimer = null;
+  let pingTimer = null;
+
+  const reconnectAfterMs = (tries) =>
+    (typeof socket.reconnectAfterMs === 'function' ? socket.reconnectAfterMs : defaultReconnectAfterMs)(tries);
+
+  function ping() {
+    if (typeof socket.ping !== 'function') return;
+    socket.ping((latency) => setState({ latency, lastPing: Date.now() }));
+  }
+
+  const refs = [
+    socket.onOpen(() => {
+      clearTimeout(retryTimer);
+      setState({ status: 'connected', reconnectAttempts: 0, nextRetryAt: null, lastError: null });
+      ping();
+    }),
+
+    socket.onError((error) => {
+      setState({ status: 'error', lastError: error });
+    }),
+
+    socket.onClose(() => {
+      clearTimeout(retryTimer);
+
+      // A clean close (disconnect()) is not retried by Phoenix
+      if (socket.closeWasClean) {
+        setState({ status: 'disconnected', nextRetryAt: null });
+        return;
+      }
+
+      const attempts = get(state).reconnectAttempts + 1;
+      const delay = reconnectAfterMs(attempts);
+      const current = get(state).status;
+
+      setState({
+        status: current === 'error' ? 'error' : 'disconnected',
+        reconnectAttempts: attempts,
+        nextRetryAt: Date.now() + delay
+      });
+
+      // Phoenix retries after `delay`; show that attempt as connecting
+      retryTimer = setTimeout(() => setState({ status: 'connecting', nextRetryAt: null }), delay);
+    })
+  ];
+
+  if (pingInterval > 0) {
+    pingTimer = setInterval(() => {
+      if (liveSocket.isConnected?.()) ping();
+    }, pingInterval);
+  }
+
+  setState({ status: liveSocket.isConnected?.() ? 'connected' : 'connecting' });
+
+  watched = {
+    liveSocket,
+    stop() {
+      socket.off?.(refs);
+      clearTimeout(retryTimer);
+      clearInterval(pingTimer);
+    }
+  };
+
+  return stopWatching;
+}
+
+function stopWatching() {
+  watched?.stop();
+  watched = null;
+}
+
+/**
+ * Reconnect immediately instead of waiting for the next backoff retry.
+ */
+export function retryNow() {
+  const liveSocket = watched?.liveSocket;
+  if (!liveSocket) return;
+
+  setState({ status: 'connecting', nextRetryAt: null });
+  liveSocket.disconnect(() => liveSocket.connect());
+}
+
+/**
+ * Measure latency now.
+ * @returns {Promise<number | null>} Round-trip time in ms, null if not connected
+ */
+export function measureLatency() {
+  const socket = watched?.liveSocket.getSocket?.();
+
+  return new Promise((resolve) => {
+    if (typeof socket?.ping !== 'function') {
+      resolve(null);
+      return;
+    }
+
+    const sent = socket.ping((latency) => {
+      setState({ latency, lastPing: Date.now() });
+      resolve(latency);
+    });
+    if (sent === false) resolve(null);
+  });
+}
@@ -7,7 +7,7 @@
  * Features:
  * - Event logging with filtering
  * - Performance timing
- * - Store inspection
+ * - Store inspection (including per-LiveView store scopes)
  * - Connection state monitoring
  *
  * Usage:
@@ -21,6 +21,7 @@
  */
 
 import { writable, get } from 'svelte/store';
+import { listStoreScopes } from './scopes.js';
 
 // =============================================================================
 // Debug Configuration
@@ -261,6 +262,17 @@ export function listStores() {
   return Array.from(registeredStores.keys());
 }
 
+/**
+ * List the stores registered for server sync, grouped by LiveView scope
+ *
+ * @param {string} [scopeId] - Only this scope
+ * @returns {Array<{ id: string, owners: number, stores: Object<string, string[]> }>}
+ */
+export function listScopedStores(scopeId) {
+  const scopes = listStoreScopes();
+  return scopeId ? scopes.filter((scope) => scope.id === scopeId) : scopes;
+}
+
 /**
  * Dump all store values to console
  */
@@ -313,6 +325,7 @@ export function getDebugSummary() {
     enabled: config.enabled,
     eventCount: log.length,
     storeCount: registeredStores.size,
+    scopeCount: listStoreScopes().length,
     connected: connection.connected,
     latency: connection.latency
   };
@@ -332,6 +345,7 @@ export function exportDebugData() {
         get(store)
       ])
     ),
+    scopes: listStoreScopes(),
     connection: get(connectionState)
   };
 
@@ -351,6 +365,7 @@ if (typeof window !== 'undefined' && import.meta.env?.DEV) {
     clearEventLog,
     inspectStore,
     listStores,
+    listScopedStores,
     dumpStores,
     exportDebugData,
     connectionState,
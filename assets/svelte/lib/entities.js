@@ -0,0 +1,305 @@
+/**
+ * Normalized Entity Cache
+ *
+ * One copy of each record, keyed by type and id, shared by every realtime
+ * store created with the same `entity` type. An update that reaches one
+ * store (or the cache directly, via `entity:sync`) shows up in all of them.
+ *
+ * Features:
+ * - Entity types with their id function and relations
+ * - Nested related records are cached under their own type
+ * - Per-entity stores and relation-resolving selectors
+ * - Change listeners per type, used by realtime stores
+ *
+ * Usage:
+ *   import { defineEntity, resolveRelations, selectEntity } from '$lib/entities';
+ *
+ *   defineEntity('message', { relations: { author: 'user' } });
+ *
+ *   const messages = createRealtimeStore('messages', [], { entity: 'message' });
+ *   const members = createRealtimeStore('members', [], { entity: 'user' });
+ *
+ *   // message.author follows the cached user (renamed in `members` → renamed here)
+ *   const rows = resolveRelations(messages, 'message');
+ */
+
+import { writable, derived, get } from 'svelte/store';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/**
+ * @typedef {object} RelationDefinition
+ * @property {string} type - Related entity type
+ * @property {string} [key] - Field holding the related id (default `<field>_id`,
+ *   or `<field>_ids` with `many`)
+ * @property {boolean} [many=false] - The key holds an array of ids
+ */
+
+/**
+ * @typedef {object} EntityDefinition
+ * @property {(entity: object) => string | number} getId
+ * @property {Object<string, RelationDefinition>} relations - By field name
+ */
+
+/** @type {Map<string, EntityDefinition>} */
+const definitions = new Map();
+
+const defaultGetId = (entity) => entity.id;
+
+/**
+ * Declare an entity type. Types used without a definition key by `id`
+ * and have no relations.
+ *
+ * @param {string} type - Entity type
+ * @param {object} [options]
+ * @param {(entity: object) => string | number} [options.getId] - Id function
+ * @param {Object<string, string | RelationDefinition>} [options.relations] - Related
+ *   types by field; a string is shorthand for `{ type }`
+ *
+ * @example
+ * defineEntity('project', {
+ *   relations: {
+ *     owner: 'user',                                   // owner_id or owner.id
+ *     members: { type: 'user', key: 'member_ids', many: true }
+ *   }
+ * });
+ */
+export function defineEntity(type, { getId = defaultGetId, relations = {} } = {}) {
+  const normalized = Object.fromEntries(
+    Object.entries(relations).map(([field, relation]) => {
+      const { type: related, many = false, key } = typeof relation === 'string' ? { type: relation } : relation;
+      return [field, { type: related, many, key: key ?? `${field}_${many ? 'ids' : 'id'}` }];
+    })
+  );
+
+  definitions.set(type, { getId, relations: normalized });
+}
+
+function definitionOf(type) {
+  return definitions.get(type) ?? { getId: defaultGetId, relations: {} };
+}
+
+/**
+ * Whether a type has been declared with defineEntity()
+ *
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isEntityDefined(type) {
+  return definitions.has(type);
+}
+
+// =============================================================================
+// Cache
+// =============================================================================
+
+/**
+ * Entities by type, then id
+ * @type {import('svelte/store').Writable<Map<string, Map<string | number, object>>>}
+ */
+const cache = writable(new Map());
+
+/** @type {Map<string, Set<(change: { upserted: object[], removed: Array<string | number> }) => void>>} */
+const listeners = new Map();
+
+function notify(type, change) {
+  listeners.get(type)?.forEach((listener) => listener(change));
+}
+
+// Related records nested in the entities, grouped by type
+function nestedRecords(type, entities) {
+  const byType = new Map();
+
+  for (const [field, relation] of Object.entries(definitionOf(type).relations)) {
+    for (const entity of entities) {
+      const value = entity[field];
+      const records = (relation.many ? (Array.isArray(value) ? value : []) : [value]).filter(
+        (record) => record && typeof record === 'object'
+      );
+      if (records.length === 0) continue;
+
+      if (!byType.has(relation.type)) byType.set(relation.type, []);
+      byType.get(relation.type).push(...records);
+    }
+  }
+
+  return byType;
+}
+
+// Every field of `record` is already in `cached`
+function covers(cached, record) {
+  return Object.keys(record).every((field) => cached[field] === record[field]);
+}
+
+function write(type, entities, merge) {
+  if (entities.length === 0) return;
+
+  // Related records first, so selectors never see a dangling relation
+  for (const [related, records] of nestedRecords(type, entities)) {
+    write(related, records, true);
+  }
+
+  const { getId } = definitionOf(type);
+  const current = get(cache).get(type);
+  const upserted = entities.flatMap((entity) => {
+    const cached = current?.get(getId(entity));
+    if (cached === entity || (merge && cached && covers(cached, entity))) return [];
+    return [merge && cached ? { ...cached, ...entity } : entity];
+  });
+  if (upserted.length === 0) return;
+
+  cache.update((tables) => {
+    const table = new Map(tables.get(type));
+    upserted.forEach((entity) => table.set(getId(entity), entity));
+    return new Map(tables).set(type, table);
+  });
+
+  notify(type, { upserted, removed: [] });
+}
+
+/**
+ * Add or replace entities. Nested related records (e.g. `message.author`)
+ * are merged into the cache under their own type, so partial copies
+ * don't erase fields.
+ *
+ * @param {string} type - Entity type
+ * @param {object[]} entities
+ */
+export function upsertEntities(type, entities) {
+  write(type, entities, false);
+}
+
+/**
+ * Add or replace one entity.
+ *
+ * @param {string} type
+ * @param {object} entity
+ */
+export function upsertEntity(type, entity) {
+  upsertEntities(type, [entity]);
+}
+
+/**
+ * Remove entities. Realtime stores of the type drop them too.
+ *
+ * @param {string} type
+ * @param {Array<string | number>} ids
+ */
+export function removeEntities(type, ids) {
+  const table = get(cache).get(type);
+  const removed = ids.filter((id) => table?.has(id));
+  if (removed.length === 0) return;
+
+  cache.update((tables) => {
+    const next = new Map(tables.get(type));
+    removed.forEach((id) => next.delete(id));
+    return new Map(tables).set(type, next);
+  });
+
+  notify(type, { upserted: [], removed });
+}
+
+/**
+ * Get a cached entity.
+ *
+ * @param {string} type
+ * @param {string | number} id
+ * @returns {object | undefined}
+ */
+export function getEntity(type, id) {
+  return get(cache).get(type)?.get(id);
+}
+
+/**
+ * Forget the cached entities of a type, or of every type (e.g. on logout).
+ * Stores keep their items.
+ *
+ * @param {string} [type]
+ */
+export function clearEntities(type) {
+  cache.update((tables) => {
+    if (type === undefined) return new Map();
+    const next = new Map(tables);
+    next.delete(type);
+    return next;
+  });
+}
+
+/**
+ * Listen for upserts and removals of a type.
+ *
+ * @param {string} type
+ * @param {(change: { upserted: object[], removed: Array<string | number> }) => void} listener
+ * @returns {() => void} Stop listening
+ */
+export function listenEntities(type, listener) {
+  if (!listeners.has(type)) listeners.set(type, new Set());
+  listeners.get(type).add(listener);
+  return () => listeners.get(type)?.delete(listener);
+}
+
+// =============================================================================
+// Selectors
+// =============================================================================
+
+/**
+ * Store of one cached entity (undefined until it is cached).
+ *
+ * @param {string} type
+ * @param {string | number} id
+ * @returns {import('svelte/store').Readable<object | undefined>}
+ */
+export function selectEntity(type, id) {
+  return derived(cache, ($cache) => $cache.get(type)?.get(id));
+}
+
+// Id(s) a relation points to: the key field, else the nested record(s)
+function relatedIds(entity, field, relation, getId) {
+  const key = entity[relation.key];
+  if (key != null) return key;
+
+  const value = entity[field];
+  const idOf = (record) => (record && typeof record === 'object' ? getId(record) : record);
+  if (relation.many) return Array.isArray(value) ? value.map(idOf) : [];
+  return idOf(value) ?? null;
+}
+
+/**
+ * Store of a list of entities with their relations replaced by the cached
+ * related entities, kept up to date as either side changes.
+ *
+ * @param {import('svelte/store').Readable<object[]>} source - e.g. a realtime store
+ * @param {string} type - Entity type of the items
+ * @returns {import('svelte/store').Readable<object[]>}
+ *
+ * @example
+ * defineEntity('message', { relations: { author: 'user' } });
+ * const rows = resolveRelations(messages, 'message');
+ * // {#each $rows as message}{message.author?.name}: {message.text}{/each}
+ */
+export function resolveRelations(source, type) {
+  const relations = Object.entries(definitionOf(type).relations);
+
+  return derived([source, cache], ([$items, $cache]) => {
+    if (relations.length === 0) return $items;
+
+    return $items.map((item) => {
+      const resolved = { ...item };
+
+      for (const [field, relation] of relations) {
+        const table = $cache.get(relation.type);
+        const ids = relatedIds(item, field, relation, definitionOf(relation.type).getId);
+
+        resolved[field] = relation.many
+          ? ids.map((id) => table?.get(id)).filter(Boolean)
+          : ids == null
+            ? null
+            : table?.get(ids) ?? item[field] ?? null;
+      }
+
+      return resolved;
+    });
+  });
+}
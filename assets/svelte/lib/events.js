@@ -0,0 +1,294 @@
+/**
+ * Event Contract Registry
+ *
+ * Declares the LiveView events exchanged between Svelte and the server,
+ * with payload schemas built from the rules in validation.js.
+ *
+ * Features:
+ * - Single source of truth for event names
+ * - Payload validation in both directions while debug mode is on
+ * - Mismatches reported through debug.js
+ * - Generated client functions for outgoing events
+ *
+ * Usage:
+ *   import { defineEvents } from '$lib/events';
+ *   import { required, ofType } from '$lib/validation';
+ *
+ *   export const events = defineEvents({
+ *     save: { direction: 'push', payload: { id: [required()], name: [ofType('string')] } },
+ *     'todo:added': { direction: 'receive', payload: { todo: [required(), ofType('object')] } }
+ *   });
+ *
+ *   events.save({ id: 1, name: 'Updated' });
+ *   const reply = await events.save.async({ id: 1, name: 'Updated' });
+ */
+
+import { createValidator, required, ofType } from './validation.js';
+import { isDebugEnabled, logEvent } from './debug.js';
+import { pushEvent, pushEventAsync } from './liveview.js';
+
+// =============================================================================
+// Registry
+// =============================================================================
+
+/**
+ * @typedef {object} EventDefinition
+ * @property {'push' | 'receive' | 'both'} [direction='push'] - Client → server, server → client, or both
+ * @property {Object<string, Function[]>} [payload] - Validation schema (see createValidator)
+ * @property {string} [description] - What the event is for
+ */
+
+/**
+ * Registered events by name. Names ending in `*` match by prefix
+ * (e.g. `svelte:*` covers every `svelte:<id>` event).
+ * @type {Map<string, EventDefinition & { validate: Function }>}
+ */
+const registry = new Map();
+
+function register(name, definition) {
+  const entry = {
+    direction: 'push',
+    payload: {},
+    ...definition
+  };
+  entry.validate = createValidator(entry.payload);
+  registry.set(name, entry);
+  return entry;
+}
+
+/**
+ * Find the definition for an event name (exact match first, then wildcards).
+ *
+ * @param {string} name - Event name
+ * @returns {(EventDefinition & { validate: Function }) | undefined}
+ */
+export function getEventDefinition(name) {
+  if (registry.has(name)) return registry.get(name);
+
+  for (const [pattern, entry] of registry) {
+    if (pattern.endsWith('*') && name.startsWith(pattern.slice(0, -1))) {
+      return entry;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * List registered event names.
+ * @returns {string[]}
+ */
+export function listEvents() {
+  return Array.from(registry.keys());
+}
+
+// =============================================================================
+// Validation
+// =============================================================================
+
+function accepts(entry, direction) {
+  return entry.direction === 'both' || entry.direction === direction;
+}
+
+/**
+ * Validate a payload against the registry.
+ *
+ * @param {string} name - Event name
+ * @param {object} payload - Event payload
+ * @param {'push' | 'receive'} direction
+ * @returns {Object<string, string> | null} Errors by field, or null if valid/unregistered
+ */
+export function validateEvent(name, payload, direction) {
+  const entry = getEventDefinition(name);
+  if (!entry) return null;
+
+  if (!accepts(entry, direction)) {
+    return { _event: `"${name}" is not declared for direction "${direction}"` };
+  }
+
+  const errors = entry.validate(payload || {});
+  return Object.keys(errors).length > 0 ? errors : null;
+}
+
+/**
+ * Validate an event in debug mode and report mismatches.
+ * Called by the LiveView helpers for every outgoing and incoming event.
+ *
+ * @param {string} name - Event name
+ * @param {object} payload - Event payload
+ * @param {'push' | 'receive'} direction
+ * @returns {boolean} Whether the payload matched (always true when debug is off)
+ */
+export function checkEvent(name, payload, direction) {
+  if (!isDebugEnabled()) return true;
+
+  const errors = validateEvent(name, payload, direction);
+  if (!errors) return true;
+
+  logEvent('error', `contract:${name}`, { direction, errors, payload });
+  return false;
+}
+
+// =============================================================================
+// Definition
+// =============================================================================
+
+/**
+ * Register event contracts and get a client function per outgoing event.
+ *
+ * Each generated function pushes the event (`events.save(payload, target)`)
+ * and has an `async` variant backed by pushEventAsync
+ * (`events.save.async(payload, options)`).
+ *
+ * @template {Record<string, EventDefinition>} T
+ * @param {T} definitions - Event definitions by name
+ * @returns {{ [K in keyof T]: ((payload?: object, target?: HTMLElement) => void) & { async: (payload?: object, options?: object) => Promise<any> } }}
+ *
+ * @example
+ * const events = defineEvents({
+ *   save: { payload: { id: [required()] } },
+ *   'presence:sync': { direction: 'receive', payload: { topic: [required()], users: [ofType('array')] } }
+ * });
+ *
+ * events.save({ id: 1 });
+ */
+export function defineEvents(definitions) {
+  const client = {};
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    const entry = register(name, definition);
+    if (!accepts(entry, 'push') || name.endsWith('*')) continue;
+
+    const send = (payload = {}, target = null) => pushEvent(name, payload, target);
+    send.async = (payload = {}, options = {}) => pushEventAsync(name, payload, options);
+    client[name] = send;
+  }
+
+  return client;
+}
+
+// =============================================================================
+// Built-in Contracts
+// =============================================================================
+
+/**
+ * Events pushed by the Elixir helpers (LiveSvelteHelpers, RealtimeHelpers)
+ */
+defineEvents({
+  toast: {
+    direction: 'receive',
+    payload: { message: [required()], variant: [ofType('string')], duration: [ofType('number')] }
+  },
+  'toast:update': {
+    direction: 'receive',
+    payload: { id: [required()], variant: [ofType('string')], duration: [ofType('number')] }
+  },
+  'toast:dismiss': {
+    direction: 'receive',
+    payload: { id: [required()] }
+  },
+  'store:update': {
+    direction: 'receive',
+    payload: { store: [required(), ofType('string')] }
+  },
+  'store:patch': {
+    direction: 'receive',
+    payload: {
+      store: [required(), ofType('string')],
+      ops: [required(), ofType('array')],
+      version: [required(), ofType('number')]
+    }
+  },
+  batch: {
+    direction: 'push',
+    payload: { events: [required(), ofType('array')] }
+  },
+  'store:resync': {
+    direction: 'push',
+    payload: { store: [required(), ofType('string')], version: [ofType('number')] }
+  },
+  'realtime:resync': {
+    direction: 'push',
+    payload: { store: [required(), ofType('string')], seq: [ofType('number')] }
+  },
+  'store:write': {
+    direction: 'push',
+    payload: { store: [required(), ofType('string')] }
+  },
+  'svelte:*': {
+    direction: 'receive',
+    payload: { event: [required(), ofType('string')] }
+  },
+  'store:sync': {
+    direction: 'receive',
+    payload: {
+      store: [required(), ofType('string')],
+      action: [required(), ofType('string')],
+      seq: [ofType('number')]
+    }
+  },
+  'store:reconcile': {
+    direction: 'receive',
+    payload: { store: [required()], temp_id: [required()] }
+  },
+  'entity:sync': {
+    direction: 'receive',
+    payload: {
+      type: [required(), ofType('string')],
+      action: [required(), ofType('string')],
+      data: [required(), ofType('array')]
+    }
+  },
+  'store:rollback': {
+    direction: 'receive',
+    payload: { store: [required()], temp_id: [required()] }
+  },
+  'upload:state': {
+    direction: 'receive',
+    payload: { name: [required(), ofType('string')], entries: [required(), ofType('array')] }
+  },
+  'upload:cancel': {
+    direction: 'push',
+    payload: { name: [required(), ofType('string')], ref: [required(), ofType('string')] }
+  },
+  presence_state: {
+    direction: 'receive',
+    payload: { topic: [required()], state: [required(), ofType('object')] }
+  },
+  presence_diff: {
+    direction: 'receive',
+    payload: { topic: [required()], joins: [ofType('object')], leaves: [ofType('object')] }
+  },
+  'presence:sync': {
+    direction: 'receive',
+    payload: { topic: [required()], users: [required(), ofType('array')] }
+  },
+  'presence:join': {
+    direction: 'receive',
+    payload: { topic: [required()], user: [required(), ofType('object')] }
+  },
+  'presence:leave': {
+    direction: 'receive',
+    payload: { topic: [required()], user_id: [required()], ref: [ofType('string')] }
+  },
+  'presence:update': {
+    direction: 'receive',
+    payload: { topic: [required()], user_id: [required()], meta: [ofType('object')], ref: [ofType('string')] }
+  },
+  'presence:status': {
+    direction: 'push',
+    payload: { status: [required(), ofType('string')] }
+  },
+  'cursor:move': {
+    direction: 'push',
+    payload: { topic: [required(), ofType('string')], session: [ofType('string')] }
+  },
+  'cursor:update': {
+    direction: 'receive',
+    payload: { topic: [required()], user_id: [required()] }
+  },
+  'cursor:leave': {
+    direction: 'receive',
+    payload: { topic: [required()], user_id: [required()] }
+  }
+});
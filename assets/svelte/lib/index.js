@@ -20,9 +20,12 @@ export {
   matches,
   url,
   phone,
+  ofType,
   createValidator,
   validateField,
-  createFormStore
+  createFormStore,
+  getPath,
+  flattenErrors
 } from './validation.js';
 
 // Utilities
@@ -74,16 +77,104 @@ export {
   pushEvent,
   pushEventTo,
   pushEventAsync,
+  pushEventBatched,
+  flushBatchedEvents,
+  LiveEventError,
+  resolveLiveTarget,
+  useLiveTarget,
+  getLiveTarget,
+  liveTargetContext,
   registerStore,
   unregisterStore,
+  getStoreVersion,
   subscribeToComponent,
+  navigate,
+  patch,
+  redirect,
+  followLink,
+  currentRoute,
   createFormHandler,
+  createLiveUpload,
   createLiveStore,
   initLiveViewHooks,
+  handleServerEvent,
   presence,
-  initPresence
+  initPresence,
+  syncPresenceState,
+  syncPresenceDiff,
+  enableOfflineQueue,
+  replayQueuedEvents
 } from './liveview.js';
 
+// Event Contracts
+export {
+  defineEvents,
+  getEventDefinition,
+  listEvents,
+  validateEvent,
+  checkEvent
+} from './events.js';
+
+// Event Middleware
+export {
+  useEventMiddleware,
+  eventLogger,
+  redactFields
+} from './middleware.js';
+
+// JSON Patch
+export { applyPatch, applyOperation, parsePointer, PatchError } from './patch.js';
+
+// Offline Event Queue
+export {
+  configureOfflineQueue,
+  pendingEvents,
+  pendingCount,
+  getQueuedEvents,
+  clearQueuedEvents
+} from './offline.js';
+
+// Store Scopes
+export {
+  GLOBAL_SCOPE,
+  getStoreScope,
+  acquireStoreScope,
+  releaseStoreScope,
+  listStoreScopes
+} from './scopes.js';
+
+// Realtime Store Persistence (IndexedDB)
+export {
+  preloadSnapshots,
+  readSnapshot,
+  deleteSnapshot,
+  clearSnapshots
+} from './persist.js';
+
+// Normalized Entity Cache
+export {
+  defineEntity,
+  upsertEntity,
+  upsertEntities,
+  removeEntities,
+  getEntity,
+  clearEntities,
+  selectEntity,
+  resolveRelations
+} from './entities.js';
+
+// Cross-tab Coordination
+export { tabId, openTabChannel, isLeader, whenLeader } from './tabs.js';
+
+// Connection Lifecycle
+export {
+  connection,
+  retryIn,
+  retryNow,
+  measureLatency,
+  watchConnection
+} from './connection.js';
+
 // Real-time Integration
 export {
   // Realtime stores
@@ -92,6 +183,11 @@ export {
   // Presence stores
   createPresenceStore,
   getPresenceStore,
+  aggregatePresenceStatus,
+  // Idle detection
+  createIdleDetector,
+  // Collaborative cursors
+  createCursorStore,
   // LiveView hooks
   initRealtimeHooks,
   // Typing indicator
@@ -120,6 +216,7 @@ export {
   registerDebugStore,
   inspectStore,
   listStores,
+  listScopedStores,
   dumpStores,
   // Connection state
   connectionState,
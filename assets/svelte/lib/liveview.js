@@ -5,9 +5,18 @@
  *
  * Features:
  * - Toast notifications from server flash/events
- * - Store updates from server pushes
+ * - Store updates from server pushes (full values or versioned JSON Patches)
  * - Component-specific event handling
  * - Form submission helpers
+ * - Offline event queue with replay on reconnect
+ * - Batched and coalesced event delivery with per-item replies
+ * - Client-side navigation (navigate/patch/redirect) and a currentRoute store
+ * - Element-scoped targeting of nested LiveViews and LiveComponents
+ * - Payload validation against the event registry (events.js) in debug mode
+ * - Middleware chain for outgoing and incoming events (middleware.js)
+ * - Store registries scoped per LiveView, cleaned up with the view (scopes.js)
+ * - Adapter for LiveView uploads (allow_upload) with per-entry progress
+ * - Connection status, latency and reconnect countdown stores (connection.js)
  *
  * Usage in app.js:
  *
@@ -22,23 +31,41 @@
  *   pushEvent("save", { data })
  */
 
-import { writable, get } from 'svelte/store';
+import { getContext, setContext } from 'svelte';
+import { writable, readable, get } from 'svelte/store';
 import { toast } from './toast.js';
+import { configureOfflineQueue, queueEvent, dequeueEvent, getQueuedEvents, onEventsDropped } from './offline.js';
+import { checkEvent } from './events.js';
+import { applyPatch } from './patch.js';
+import { runOutgoing, runIncoming } from './middleware.js';
+import { getStoreScope, findStores, acquireStoreScope, releaseStoreScope, sweepStoreScopes } from './scopes.js';
+import { watchConnection } from './connection.js';
 
 // =============================================================================
 // LiveSocket Reference
 // =============================================================================
 
 let liveSocketRef = null;
+let sweepingScopes = false;
 
 /**
  * Set the LiveSocket reference for use in Svelte components.
- * Called from app.js after LiveSocket is created.
+ * Called from app.js after LiveSocket is created. Also starts feeding
+ * the connection stores (connection.js) from the socket.
  *
  * @param {LiveSocket} liveSocket
+ * @param {object} [options]
+ * @param {number} [options.pingInterval] - Latency ping interval in ms (0 disables)
  */
-export function setLiveSocket(liveSocket) {
+export function setLiveSocket(liveSocket, { pingInterval } = {}) {
   liveSocketRef = liveSocket;
+  watchConnection(liveSocket, { pingInterval });
+
+  // Stores of views that left the page without an owning hook
+  if (typeof window !== 'undefined' && !sweepingScopes) {
+    sweepingScopes = true;
+    window.addEventListener('phx:page-loading-stop', sweepStoreScopes);
+  }
 }
 
 /**
@@ -53,17 +80,19 @@ export function getLiveSocket() {
 // Server → Client Event Handling
 // =============================================================================
 
-/**
- * Store registry for server-pushed updates
- * @type {Map<string, import('svelte/store').Writable>}
- */
-const storeRegistry = new Map();
-
 /**
  * Register a Svelte store to receive server updates.
  *
+ * Stores live in the scope of a LiveView (see scopes.js): the StoreSync
+ * hook of that view delivers its updates, and the registration goes away
+ * when the view is destroyed. Several stores may share a name.
+ *
  * @param {string} name - Store name (matches server push_store_update)
  * @param {import('svelte/store').Writable} store - Svelte writable store
+ * @param {object} [options]
+ * @param {string | HTMLElement | object} [options.scope] - Scope id, element,
+ *   hook or useLiveTarget scope (default: the main LiveView)
+ * @returns {() => void} Unregister function
  *
  * @example
  * const users = writable([]);
@@ -72,16 +101,87 @@ const storeRegistry = new Map();
  * // Server can now do:
  * // push_store_update(socket, "users", updated_users)
  */
-export function registerStore(name, store) {
-  storeRegistry.set(name, store);
+export function registerStore(name, store, { scope } = {}) {
+  return getStoreScope(scope).register('store', name, store);
 }
 
 /**
- * Unregister a store.
+ * Unregister every store with a name from a scope.
  * @param {string} name
+ * @param {object} [options]
+ * @param {string | HTMLElement | object} [options.scope] - Same as registerStore
+ */
+export function unregisterStore(name, { scope } = {}) {
+  const storeScope = getStoreScope(scope);
+  storeScope.unregister('store', name);
+  versionsFor(storeScope).delete(name);
+  settleStoreResync(storeScope, name);
+}
+
+/**
+ * Last applied server version per store, by scope (from store:update / store:patch)
+ * @type {WeakMap<object, Map<string, number>>}
+ */
+const storeVersions = new WeakMap();
+
+/**
+ * Stores with an outstanding store:resync request and its timeout, by scope
+ * @type {WeakMap<object, Map<string, ReturnType<typeof setTimeout>>>}
+ */
+const resyncRequested = new WeakMap();
+
+/**
+ * How long to wait for the snapshot answering a store:resync (ms)
  */
-export function unregisterStore(name) {
-  storeRegistry.delete(name);
+const STORE_RESYNC_TIMEOUT = 10000;
+
+function versionsFor(scope) {
+  if (!storeVersions.has(scope)) storeVersions.set(scope, new Map());
+  return storeVersions.get(scope);
+}
+
+function resyncsFor(scope) {
+  if (!resyncRequested.has(scope)) resyncRequested.set(scope, new Map());
+  return resyncRequested.get(scope);
+}
+
+/**
+ * Get the last server version applied to a registered store.
+ *
+ * @param {string} name - Store name
+ * @param {object} [options]
+ * @param {string | HTMLElement | object} [options.scope] - Same as registerStore
+ * @returns {number | undefined}
+ */
+export function getStoreVersion(name, { scope } = {}) {
+  return versionsFor(getStoreScope(scope)).get(name);
+}
+
+function requestStoreResync(hook, scope, name) {
+  const pending = resyncsFor(scope);
+  if (pending.has(name)) return;
+
+  // A lost request must not block the store: the next patch asks again
+  pending.set(name, setTimeout(() => {
+    pending.delete(name);
+    console.warn(`No snapshot for store ${name} after ${STORE_RESYNC_TIMEOUT}ms`);
+  }, STORE_RESYNC_TIMEOUT));
+
+  hook.pushEvent('store:resync', { store: name, version: versionsFor(scope).get(name) ?? null });
+}
+
+function settleStoreResync(scope, name) {
+  const pending = resyncsFor(scope);
+  clearTimeout(pending.get(name));
+  pending.delete(name);
+}
+
+// Requests sent before a disconnect got no answer: send them again
+function retryStoreResyncs(hook, scope) {
+  for (const name of [...resyncsFor(scope).keys()]) {
+    settleStoreResync(scope, name);
+    requestStoreResync(hook, scope, name);
+  }
 }
 
 /**
@@ -118,6 +218,163 @@ export function subscribeToComponent(componentId, callback) {
   };
 }
 
+// =============================================================================
+// Event Targeting
+// =============================================================================
+
+/**
+ * Resolve the LiveView and phx-target that own an element.
+ *
+ * The view is the nearest `[data-phx-session]` ancestor, so events from
+ * inside a nested LiveView (`live_render`) reach that process instead of
+ * the main view. The target is the nearest `phx-target` attribute or
+ * LiveComponent (`data-phx-component`) inside that view.
+ *
+ * @param {HTMLElement | { element: HTMLElement | null } | null} [target]
+ *   Element, scoped target from useLiveTarget(), or null for the main view
+ * @returns {{ view: object | null, phxTarget: string | number | null }}
+ */
+export function resolveLiveTarget(target = null) {
+  const socket = getLiveSocket();
+  const { viewEl, phxTarget } = locateLiveTarget(target);
+  const view = socket && viewEl ? socket.getViewByEl(viewEl) : null;
+
+  return { view, phxTarget };
+}
+
+function locateLiveTarget(target) {
+  const el = target && 'element' in target ? target.element : target;
+  const viewEl = el?.closest?.('[data-phx-session]') || document.querySelector('[data-phx-main]');
+
+  let phxTarget = null;
+  const targetEl = el?.closest?.('[phx-target], [data-phx-component]');
+  if (targetEl && viewEl?.contains(targetEl)) {
+    phxTarget = targetEl.getAttribute('phx-target') ?? Number(targetEl.getAttribute('data-phx-component'));
+  }
+
+  return { viewEl, targetEl, phxTarget };
+}
+
+// Serializable target for the offline queue: the nested view's element id
+// (null for the main view) and the phx-target. A LiveComponent with a DOM
+// id is kept as `#id`, since cids may change on rejoin.
+function describeLiveTarget(target) {
+  if (!target) return null;
+
+  const { viewEl, targetEl, phxTarget } = locateLiveTarget(target);
+  const view = viewEl && !viewEl.hasAttribute('data-phx-main') ? viewEl.id || null : null;
+  const stable = typeof phxTarget === 'number' && targetEl.id ? `#${targetEl.id}` : phxTarget;
+
+  return view || stable != null ? { view, phxTarget: stable } : null;
+}
+
+// Resolve a queued event's target again, now that the view is back
+function resolveQueuedTarget(target) {
+  const socket = getLiveSocket();
+  const viewEl = target?.view
+    ? document.getElementById(target.view)
+    : document.querySelector('[data-phx-main]');
+
+  return {
+    view: socket && viewEl ? socket.getViewByEl(viewEl) : null,
+    phxTarget: target?.phxTarget ?? null
+  };
+}
+
+function sendToView(view, phxTarget, event, payload, onReply) {
+  if (phxTarget != null) {
+    view.pushEventTo(phxTarget, event, payload, onReply);
+  } else {
+    view.pushEvent(event, payload, onReply);
+  }
+}
+
+const LIVE_TARGET_KEY = Symbol('live-target');
+
+/**
+ * Scope a Svelte component's events to the LiveView or LiveComponent it
+ * is rendered in. Call during component initialisation and bind the
+ * returned action to an element; child components pick the scope up
+ * through context, and createFormHandler uses it automatically.
+ *
+ * @returns {{ bind: (node: HTMLElement) => { destroy: () => void }, element: HTMLElement | null, pushEvent: Function, pushEventAsync: Function }}
+ *
+ * @example
+ * <script>
+ *   const live = useLiveTarget();
+ * </script>
+ *
+ * <div use:live.bind>
+ *   <button on:click={() => live.pushEvent('delete', { id })}>Delete</button>
+ * </div>
+ */
+export function useLiveTarget() {
+  const scoped = createLiveTarget();
+  setContext(LIVE_TARGET_KEY, scoped);
+  return scoped;
+}
+
+function createLiveTarget(initialElement = null) {
+  let element = initialElement;
+
+  const scoped = {
+    bind(node) {
+      element = node;
+      return {
+        destroy() {
+          if (element === node) element = null;
+        }
+      };
+    },
+
+    get element() {
+      return element;
+    },
+
+    pushEvent(event, payload = {}) {
+      pushEvent(event, payload, scoped);
+    },
+
+    pushEventAsync(event, payload = {}, options = {}) {
+      return pushEventAsync(event, payload, { target: scoped, ...options });
+    }
+  };
+
+  return scoped;
+}
+
+/**
+ * Context for mounting a Svelte component into an element, holding a
+ * live target scoped to it, so getLiveTarget() and createFormHandler()
+ * inside the component reach the enclosing LiveView or LiveComponent.
+ * The SvelteComponent hook exposes one for its element as `this.context`.
+ *
+ * @param {HTMLElement} element - Mount target
+ * @returns {Map<symbol, ReturnType<typeof useLiveTarget>>}
+ *
+ * @example
+ * new Chart({ target: el, props, context: liveTargetContext(el) });
+ */
+export function liveTargetContext(element) {
+  return new Map([[LIVE_TARGET_KEY, createLiveTarget(element)]]);
+}
+
+/**
+ * Get the scoped target set by an ancestor's useLiveTarget(), or passed
+ * in the mount context (liveTargetContext(), the SvelteComponent hook).
+ * Must be called during component initialisation; returns null elsewhere.
+ *
+ * @returns {ReturnType<typeof useLiveTarget> | null}
+ */
+export function getLiveTarget() {
+  try {
+    return getContext(LIVE_TARGET_KEY) ?? null;
+  } catch {
+    // Called outside component initialisation
+    return null;
+  }
+}
+
 // =============================================================================
 // Client → Server Event Helpers
 // =============================================================================
@@ -127,29 +384,52 @@ export function subscribeToComponent(componentId, callback) {
  *
  * @param {string} event - Event name
  * @param {object} payload - Event payload
- * @param {HTMLElement} [target] - Optional target element for phx-target
+ * @param {HTMLElement | object} [target] - Element (or useLiveTarget scope) whose
+ *   LiveView and phx-target receive the event; defaults to the main LiveView
+ * @param {object} [options]
+ * @param {boolean} [options.queue=true] - Queue while offline (when the offline queue
+ *   is enabled). With `false` the event is dropped while disconnected, for
+ *   short-lived events such as cursor moves and heartbeats.
  *
  * @example
  * pushEvent('save', { id: 1, name: 'Updated' });
+ *
+ * // From inside a nested LiveView or LiveComponent
+ * pushEvent('select', { id }, buttonEl);
+ *
+ * // Not worth replaying after a reconnect
+ * pushEvent('cursor:move', { x, y }, null, { queue: false });
  */
-export function pushEvent(event, payload = {}, target = null) {
+export function pushEvent(event, payload = {}, target = null, options = {}) {
+  runOutgoing({ event, payload, target, options, async: false }, (ctx) => {
+    deliverEvent(ctx.event, ctx.payload, ctx.target, ctx.options);
+  });
+}
+
+function deliverEvent(event, payload, target, { queue = true } = {}) {
+  checkEvent(event, payload, 'push');
+
+  if (queue && mustQueue()) {
+    queueEvent(event, payload, { target: describeLiveTarget(target) });
+    replayQueuedEvents();
+    return;
+  }
+
+  if (!queue && !isLiveConnected()) return;
+
   const socket = getLiveSocket();
   if (!socket) {
     console.warn('LiveSocket not initialized. Call setLiveSocket first.');
     return;
   }
 
-  // Find the live view element
-  const liveView = target?.closest('[data-phx-main]') || document.querySelector('[data-phx-main]');
-  if (!liveView) {
+  const { view, phxTarget } = resolveLiveTarget(target);
+  if (!view) {
     console.warn('No LiveView found on page');
     return;
   }
 
-  const view = socket.getViewByEl(liveView);
-  if (view) {
-    view.pushEvent(event, payload);
-  }
+  sendToView(view, phxTarget, event, payload);
 }
 
 /**
@@ -175,44 +455,621 @@ export function pushEventTo(selector, event, payload = {}) {
     return;
   }
 
-  const liveView = target.closest('[data-phx-main]');
-  const view = socket.getViewByEl(liveView);
+  const { view } = resolveLiveTarget(target);
 
   if (view) {
     view.pushEventTo(selector, event, payload);
   }
 }
 
+/**
+ * Default time to wait for a server reply before rejecting (ms)
+ */
+const DEFAULT_EVENT_TIMEOUT = 10000;
+
+/**
+ * Error raised when an awaited LiveView event does not succeed.
+ *
+ * `reason` is one of:
+ * - `server` - the server replied with `error` or `errors`
+ * - `timeout` - no reply arrived within the timeout
+ * - `aborted` - the caller's AbortSignal fired
+ * - `no_socket` - setLiveSocket was never called
+ * - `no_view` - no LiveView element on the page
+ * - `dropped` - the offline queue was full and dropped the event
+ *
+ * @example
+ * try {
+ *   await pushEventAsync('save', data);
+ * } catch (err) {
+ *   if (err instanceof LiveEventError && err.reason === 'server') {
+ *     errors = err.errors; // { email: 'has already been taken' }
+ *   }
+ * }
+ */
+export class LiveEventError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {object} details
+   * @param {string} details.event - Event name
+   * @param {object} details.payload - Event payload
+   * @param {'server' | 'timeout' | 'aborted' | 'no_socket' | 'no_view' | 'dropped'} details.reason
+   * @param {Record<string, string>} [details.errors] - Field errors from the server
+   * @param {any} [details.reply] - Raw server reply
+   */
+  constructor(message, { event, payload, reason, errors = {}, reply = null }) {
+    super(message);
+    this.name = 'LiveEventError';
+    this.event = event;
+    this.payload = payload;
+    this.reason = reason;
+    this.errors = errors;
+    this.reply = reply;
+  }
+}
+
+/**
+ * Extract an error from a server reply.
+ *
+ * Replies follow `{:reply, %{error: message, errors: %{field => msg}}, socket}`
+ * on failure (see `reply_error/3` in LiveSvelteHelpers). Anything else is a success.
+ *
+ * @param {any} reply
+ * @returns {{ message: string, errors: Record<string, string> } | null}
+ */
+function getReplyError(reply) {
+  if (!reply || typeof reply !== 'object') return null;
+
+  const { error } = reply;
+  const errors = reply.errors && typeof reply.errors === 'object' ? reply.errors : {};
+  const hasErrors = Object.keys(errors).length > 0;
+
+  if (!error && !hasErrors) return null;
+
+  if (error && typeof error === 'object') {
+    return { message: error.message || 'Request failed', errors: { ...error, ...errors } };
+  }
+
+  return { message: error || 'Request failed', errors };
+}
+
 /**
  * Push an event and wait for a response.
  *
+ * Resolves with the server reply. Rejects with a LiveEventError when the
+ * server replies with an error, the timeout elapses or the signal aborts.
+ *
  * @param {string} event - Event name
  * @param {object} payload - Event payload
+ * @param {object} [options]
+ * @param {number} [options.timeout=10000] - Reply timeout in ms (0 disables); while
+ *   offline it also covers the time spent in the queue
+ * @param {AbortSignal} [options.signal] - Cancels the wait
+ * @param {HTMLElement | object} [options.target] - Element or useLiveTarget scope to send from
+ * @param {boolean} [options.queue=true] - Queue while offline (when the offline queue is enabled)
  * @returns {Promise<any>} Response from server
  *
  * @example
  * const result = await pushEventAsync('search', { query: 'test' });
+ *
+ * // Cancel a stale request
+ * const controller = new AbortController();
+ * pushEventAsync('search', { query }, { signal: controller.signal, timeout: 3000 });
+ * controller.abort();
  */
-export function pushEventAsync(event, payload = {}) {
+export function pushEventAsync(event, payload = {}, options = {}) {
+  const ctx = { event, payload, target: options.target ?? null, options, async: true };
+
+  // Short-circuiting middleware may return a plain value; errors become rejections
+  return new Promise((resolve) => {
+    resolve(runOutgoing(ctx, (next) =>
+      deliverEventAsync(next.event, next.payload, { ...next.options, target: next.target })
+    ));
+  });
+}
+
+function deliverEventAsync(event, payload, options = {}) {
+  const { timeout = DEFAULT_EVENT_TIMEOUT, signal, target = null, queue = true, route = null } = options;
+
+  checkEvent(event, payload, 'push');
+
   return new Promise((resolve, reject) => {
+    const fail = (reason, message, details = {}) => {
+      reject(new LiveEventError(message, { event, payload, reason, ...details }));
+    };
+
+    if (signal?.aborted) {
+      fail('aborted', `Event "${event}" was aborted`);
+      return;
+    }
+
+    // Offline (or behind queued events): settle when the queued event is replayed
+    if (queue && mustQueue()) {
+      const entry = queueEvent(event, payload, { target: describeLiveTarget(target) });
+      if (!entry) {
+        fail('dropped', `Event "${event}" was dropped: offline queue is full`);
+        return;
+      }
+      waitForReplay(entry.id, { resolve, reject }, {
+        timeout,
+        signal,
+        onAbort: () => fail('aborted', `Event "${event}" was aborted`),
+        onTimeout: () => fail('timeout', `Event "${event}" timed out after ${timeout}ms while queued`)
+      });
+      replayQueuedEvents();
+      return;
+    }
+
     const socket = getLiveSocket();
     if (!socket) {
-      reject(new Error('LiveSocket not initialized'));
+      fail('no_socket', 'LiveSocket not initialized');
       return;
     }
 
-    const liveView = document.querySelector('[data-phx-main]');
-    const view = socket.getViewByEl(liveView);
+    // Replayed events carry their target already resolved
+    const { view, phxTarget } = route ?? resolveLiveTarget(target);
 
     if (!view) {
-      reject(new Error('No LiveView found'));
+      fail('no_view', 'No LiveView found');
       return;
     }
 
-    view.pushEvent(event, payload, (reply, ref) => {
+    let settled = false;
+    let timer = null;
+
+    const onAbort = () => settle(() => fail('aborted', `Event "${event}" was aborted`));
+
+    function settle(fn) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      fn();
+    }
+
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        settle(() => fail('timeout', `Event "${event}" timed out after ${timeout}ms`));
+      }, timeout);
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    sendToView(view, phxTarget, event, payload, (reply) => {
+      settle(() => {
+        const error = getReplyError(reply);
+        if (error) {
+          fail('server', error.message, { errors: error.errors, reply });
+        } else {
+          resolve(reply);
+        }
+      });
+    });
+  });
+}
+
+// =============================================================================
+// Batched Events
+// =============================================================================
+
+/**
+ * Batches waiting to be sent, by target (null = main view)
+ * @type {Map<any, { target: any, timeout?: number, items: object[], cancel?: () => void }>}
+ */
+const pendingBatches = new Map();
+
+function scheduleBatch(batch, delay) {
+  if (delay === 'frame' && typeof requestAnimationFrame === 'function') {
+    const id = requestAnimationFrame(() => flushBatch(batch));
+    batch.cancel = () => cancelAnimationFrame(id);
+  } else {
+    const id = setTimeout(() => flushBatch(batch), delay === 'frame' ? 16 : delay);
+    batch.cancel = () => clearTimeout(id);
+  }
+}
+
+function getCoalesceKey(coalesce, event, payload) {
+  if (!coalesce) return null;
+  if (coalesce === true) return event;
+  return `${event}:${coalesce(payload)}`;
+}
+
+function enqueueBatched(event, payload, { target = null, window = 'frame', coalesce = false, timeout } = {}) {
+  checkEvent(event, payload, 'push');
+
+  return new Promise((resolve, reject) => {
+    let batch = pendingBatches.get(target);
+    if (!batch) {
+      batch = { target, timeout, items: [] };
+      pendingBatches.set(target, batch);
+      scheduleBatch(batch, window);
+    }
+
+    const key = getCoalesceKey(coalesce, event, payload);
+    const existing = key != null ? batch.items.find((item) => item.key === key) : null;
+
+    if (existing) {
+      // Only the last payload is sent; every caller gets its reply
+      existing.payload = payload;
+      existing.waiters.push({ resolve, reject });
+    } else {
+      batch.items.push({ event, payload, key, waiters: [{ resolve, reject }] });
+    }
+  });
+}
+
+async function flushBatch(batch) {
+  if (pendingBatches.get(batch.target) === batch) pendingBatches.delete(batch.target);
+  batch.cancel?.();
+
+  const { items } = batch;
+  if (items.length === 0) return;
+
+  const itemError = (item, message, details) =>
+    new LiveEventError(message, { event: item.event, payload: item.payload, ...details });
+
+  try {
+    const reply = await deliverEventAsync(
+      'batch',
+      { events: items.map(({ event, payload }) => ({ event, payload })) },
+      { target: batch.target, timeout: batch.timeout }
+    );
+    const replies = Array.isArray(reply?.replies) ? reply.replies : [];
+
+    items.forEach((item, index) => {
+      const itemReply = replies[index] ?? {};
+      const error = getReplyError(itemReply);
+
+      item.waiters.forEach((waiter) => {
+        if (error) {
+          waiter.reject(itemError(item, error.message, { reason: 'server', errors: error.errors, reply: itemReply }));
+        } else {
+          waiter.resolve(itemReply);
+        }
+      });
+    });
+  } catch (error) {
+    items.forEach((item) => {
+      item.waiters.forEach((waiter) => {
+        waiter.reject(itemError(item, error.message, { reason: error.reason, errors: error.errors, reply: error.reply }));
+      });
+    });
+  }
+}
+
+/**
+ * Push an event as part of a batch. Events pushed within the same
+ * animation frame (or time window) to the same target are sent as one
+ * `batch` event; the server replies per item (see handle_svelte_batch/3)
+ * and each call resolves with its own reply, like pushEventAsync.
+ *
+ * With `coalesce`, a later event with the same key replaces the payload
+ * of the one already waiting in the batch, so only the last is sent.
+ *
+ * Each event passes through the outgoing middleware on its own; the
+ * `batch` envelope does not.
+ *
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload
+ * @param {object} [options]
+ * @param {'frame' | number} [options.window='frame'] - Collect for one animation frame or N ms
+ * @param {boolean | ((payload: object) => string | number)} [options.coalesce=false]
+ *   Keep only the last payload per event (`true`) or per event and key
+ * @param {number} [options.timeout] - Reply timeout for the batch in ms
+ * @param {HTMLElement | object} [options.target] - Element or useLiveTarget scope
+ * @returns {Promise<any>} This event's reply
+ * @throws {LiveEventError} When the batch fails or the server replies with an error for this item
+ *
+ * @example
+ * // Only the latest cursor position per frame reaches the server
+ * pushEventBatched('cursor:move', { x, y }, { coalesce: true }).catch(() => {});
+ *
+ * // One update per record within 100ms
+ * pushEventBatched('row:update', { id, changes }, { window: 100, coalesce: (p) => p.id });
+ */
+export function pushEventBatched(event, payload = {}, options = {}) {
+  const ctx = { event, payload, target: options.target ?? null, options, async: true };
+
+  return new Promise((resolve) => {
+    resolve(runOutgoing(ctx, (next) =>
+      enqueueBatched(next.event, next.payload, { ...next.options, target: next.target })
+    ));
+  });
+}
+
+/**
+ * Send every waiting batch now (e.g. before navigating away).
+ */
+export function flushBatchedEvents() {
+  Array.from(pendingBatches.values()).forEach(flushBatch);
+}
+
+// =============================================================================
+// Offline Queue
+// =============================================================================
+
+let offlineQueueEnabled = false;
+let replaying = false;
+
+/**
+ * Callers awaiting a queued event
+ * @type {Map<string, Array<{ resolve: Function, reject: Function }>>}
+ */
+const queueWaiters = new Map();
+
+/**
+ * Whether the LiveSocket is set and connected.
+ * @returns {boolean}
+ */
+function isLiveConnected() {
+  const socket = getLiveSocket();
+  return !!socket && (socket.isConnected?.() ?? true);
+}
+
+/**
+ * Whether a new event must go through the queue: while offline, and until
+ * the events queued before it have been replayed, so they keep their order.
+ * @returns {boolean}
+ */
+function mustQueue() {
+  return offlineQueueEnabled && (!isLiveConnected() || getQueuedEvents().length > 0);
+}
+
+function waitForReplay(id, { resolve, reject }, { timeout, signal, onAbort, onTimeout }) {
+  let timer = null;
+
+  const stop = () => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+  };
+
+  const waiter = {
+    resolve: (reply) => {
+      stop();
       resolve(reply);
+    },
+    reject: (error) => {
+      stop();
+      reject(error);
+    }
+  };
+
+  // The caller gave up: forget the event too unless someone else awaits it
+  const giveUp = (notify) => {
+    stop();
+    const remaining = (queueWaiters.get(id) || []).filter((w) => w !== waiter);
+    if (remaining.length > 0) {
+      queueWaiters.set(id, remaining);
+    } else {
+      queueWaiters.delete(id);
+      dequeueEvent(id);
+    }
+    notify();
+  };
+
+  const abort = () => giveUp(onAbort);
+
+  queueWaiters.set(id, [...(queueWaiters.get(id) || []), waiter]);
+  signal?.addEventListener('abort', abort, { once: true });
+
+  if (timeout > 0) {
+    timer = setTimeout(() => giveUp(onTimeout), timeout);
+  }
+}
+
+// Callers of events the full queue dropped (drop-oldest) get a LiveEventError
+onEventsDropped((dropped) => {
+  dropped.forEach(({ id, event, payload }) => {
+    const waiters = queueWaiters.get(id) || [];
+    queueWaiters.delete(id);
+
+    const error = new LiveEventError(`Event "${event}" was dropped: offline queue is full`, {
+      event,
+      payload,
+      reason: 'dropped'
     });
+    waiters.forEach((waiter) => waiter.reject(error));
   });
+});
+
+/**
+ * Queue events while disconnected and replay them after reconnect.
+ *
+ * While enabled, `pushEvent` and `pushEventAsync` queue events instead of
+ * failing when the socket is down. Queued events are persisted to
+ * localStorage and replayed in order on `phx:page-loading-stop` (fired
+ * when LiveView rejoins) and the browser `online` event. Events pushed
+ * before the queue has drained are queued behind it. Each replayed
+ * payload carries `_idempotency_key` so the server can ignore duplicates.
+ *
+ * @param {object} [options] - See configureOfflineQueue in offline.js
+ * @returns {() => void} Disable function
+ *
+ * @example
+ * setLiveSocket(liveSocket);
+ * enableOfflineQueue({ maxSize: 50, merge: 'replace' });
+ */
+export function enableOfflineQueue(options = {}) {
+  configureOfflineQueue(options);
+  offlineQueueEnabled = true;
+
+  const replay = () => replayQueuedEvents();
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('phx:page-loading-stop', replay);
+    window.addEventListener('online', replay);
+  }
+
+  replay();
+
+  return () => {
+    offlineQueueEnabled = false;
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('phx:page-loading-stop', replay);
+      window.removeEventListener('online', replay);
+    }
+  };
+}
+
+/**
+ * Send queued events in order.
+ *
+ * Stops at the first event that cannot be delivered (still offline or
+ * timed out) and keeps it for the next attempt. Events the server rejects,
+ * or whose nested LiveView is no longer on the page, are removed and their
+ * callers receive the LiveEventError.
+ *
+ * @returns {Promise<void>}
+ */
+export async function replayQueuedEvents() {
+  if (replaying || !isLiveConnected()) return;
+  replaying = true;
+
+  try {
+    let entry;
+    while ((entry = getQueuedEvents()[0])) {
+      const waiters = queueWaiters.get(entry.id) || [];
+
+      try {
+        // Middleware already ran when the event was queued
+        const reply = await deliverEventAsync(
+          entry.event,
+          { ...entry.payload, _idempotency_key: entry.id },
+          { queue: false, route: resolveQueuedTarget(entry.target) }
+        );
+        dequeueEvent(entry.id);
+        queueWaiters.delete(entry.id);
+        waiters.forEach((waiter) => waiter.resolve(reply));
+      } catch (error) {
+        // Keep it for the next attempt unless the server rejected it or its view is gone
+        if (error.reason !== 'server' && error.reason !== 'no_view') break;
+
+        dequeueEvent(entry.id);
+        queueWaiters.delete(entry.id);
+        waiters.forEach((waiter) => waiter.reject(error));
+      }
+    }
+  } finally {
+    replaying = false;
+  }
+}
+
+// =============================================================================
+// Navigation
+// =============================================================================
+
+function readRoute(kind = null) {
+  if (typeof window === 'undefined') {
+    return { path: '/', search: '', hash: '', href: '', params: {}, kind };
+  }
+
+  const { pathname, search, hash, href } = window.location;
+  return {
+    path: pathname,
+    search,
+    hash,
+    href,
+    params: Object.fromEntries(new URLSearchParams(search)),
+    kind
+  };
+}
+
+/**
+ * The current URL, updated whenever LiveView finishes a page load
+ * (`phx:page-loading-stop`), including patches and live navigation.
+ * `kind` is LiveView's loading kind ('initial', 'patch', 'redirect', ...).
+ *
+ * @type {import('svelte/store').Readable<{ path: string, search: string, hash: string, href: string, params: Object<string, string>, kind: string | null }>}
+ *
+ * @example
+ * {#if $currentRoute.path.startsWith('/settings')}...{/if}
+ */
+export const currentRoute = readable(readRoute(), (set) => {
+  if (typeof window === 'undefined') return undefined;
+
+  const update = ({ detail }) => set(readRoute(detail?.kind ?? null));
+
+  set(readRoute());
+  window.addEventListener('phx:page-loading-stop', update);
+  return () => window.removeEventListener('phx:page-loading-stop', update);
+});
+
+// Run a JS.navigate / JS.patch command; other origins, or no connected LiveView, load the page
+function execNavigation(kind, href, replace) {
+  const socket = getLiveSocket();
+  const viewEl = typeof document !== 'undefined' ? document.querySelector('[data-phx-main]') : null;
+  const external = new URL(href, window.location.href).origin !== window.location.origin;
+
+  if (external || !socket?.execJS || !viewEl || socket.isConnected?.() === false) {
+    window.location[replace ? 'replace' : 'assign'](href);
+    return;
+  }
+
+  socket.execJS(viewEl, JSON.stringify([[kind, { href, replace }]]));
+}
+
+/**
+ * Navigate to another LiveView without a full page load (like
+ * push_navigate / `<.link navigate>`).
+ *
+ * @param {string} to - Path
+ * @param {object} [options]
+ * @param {boolean} [options.replace=false] - Replace the current history entry
+ */
+export function navigate(to, { replace = false } = {}) {
+  execNavigation('navigate', to, replace);
+}
+
+/**
+ * Patch the current LiveView to a new URL; it receives handle_params
+ * (like push_patch / `<.link patch>`).
+ *
+ * @param {string} to - Path and/or query string
+ * @param {object} [options]
+ * @param {boolean} [options.replace=false] - Replace the current history entry
+ */
+export function patch(to, { replace = false } = {}) {
+  execNavigation('patch', to, replace);
+}
+
+/**
+ * Full page load (like redirect/2), e.g. to a non-LiveView route.
+ *
+ * @param {string} to - URL
+ */
+export function redirect(to) {
+  window.location.assign(to);
+}
+
+/**
+ * Follow a link click through LiveView navigation. Leaves modified clicks
+ * (new tab, download, ...) and `target="_blank"` links to the browser.
+ *
+ * Used by the navigation components (Sidebar, Breadcrumbs, Tabs,
+ * CommandPalette) when no listener prevents their `navigate` event.
+ *
+ * @param {MouseEvent | null} event - Click event (null for keyboard/programmatic use)
+ * @param {string} href - Destination
+ * @param {object} [options]
+ * @param {boolean} [options.patch=false] - Patch the current LiveView instead of navigating
+ * @param {boolean} [options.replace=false] - Replace the current history entry
+ * @returns {boolean} Whether the navigation was handled
+ */
+export function followLink(event, href, { patch: usePatch = false, replace = false } = {}) {
+  if (!href) return false;
+
+  if (event) {
+    const modified = event.metaKey || event.ctrlKey || event.shiftKey || event.altKey || event.button > 0;
+    if (modified || event.currentTarget?.target === '_blank') return false;
+    event.preventDefault();
+  }
+
+  if (usePatch) {
+    patch(href, { replace });
+  } else {
+    navigate(href, { replace });
+  }
+  return true;
 }
 
 // =============================================================================
@@ -222,11 +1079,21 @@ export function pushEventAsync(event, payload = {}) {
 /**
  * Create a form submission handler that integrates with LiveView.
  *
+ * Server error replies, timeouts and aborts all reach `onError` as a
+ * LiveEventError; field errors are available on `error.errors`. Pass a
+ * createFormStore `form` and those errors (e.g. Ash validations from
+ * reply_error/3) are applied to it with `setServerErrors`.
+ *
  * @param {object} options
  * @param {string} options.event - Event name (default: form's phx-submit)
- * @param {() => object} options.getData - Function to get form data
+ * @param {() => object} [options.getData] - Function to get form data (default: the form store's values)
  * @param {(result: any) => void} [options.onSuccess] - Success callback
- * @param {(error: any) => void} [options.onError] - Error callback
+ * @param {(error: LiveEventError | Error) => void} [options.onError] - Error callback
+ * @param {number} [options.timeout] - Reply timeout in ms
+ * @param {HTMLElement | object} [options.target] - Element or useLiveTarget scope
+ *   (defaults to the enclosing useLiveTarget scope when created in a component)
+ * @param {ReturnType<import('./validation.js').createFormStore>} [options.form] - Form store
+ *   that receives server errors
  *
  * @example
  * const handleSubmit = createFormHandler({
@@ -236,29 +1103,185 @@ export function pushEventAsync(event, payload = {}) {
  *   onError: (err) => toast.error(err.message)
  * });
  */
-export function createFormHandler({ event, getData, onSuccess, onError }) {
+export function createFormHandler({ event, getData, onSuccess, onError, timeout, target, form }) {
+  const scope = target ?? getLiveTarget();
+
   return async (e) => {
     e?.preventDefault();
 
     try {
-      const data = getData();
-      const result = await pushEventAsync(event, data);
-
-      if (result?.error) {
-        onError?.(result.error);
-      } else {
-        onSuccess?.(result);
-      }
+      const data = getData ? getData() : get(form.values);
+      form?.clearServerErrors();
+      const result = await pushEventAsync(event, data, {
+        timeout,
+        target: scope ?? e?.currentTarget ?? null
+      });
+      if (result?.errors) form?.setServerErrors(result.errors);
+      onSuccess?.(result);
     } catch (error) {
+      if (error?.errors) form?.setServerErrors(error.errors);
       onError?.(error);
     }
   };
 }
 
+// =============================================================================
+// LiveView Uploads
+// =============================================================================
+
+/**
+ * @typedef {object} LiveUploadEntry
+ * @property {string} ref - Entry ref assigned by LiveView
+ * @property {string} name - Client file name
+ * @property {number} size - Client file size in bytes
+ * @property {number | null} lastModified - Client lastModified timestamp
+ * @property {number} progress - Upload progress (0-100)
+ * @property {boolean} done - Whether the upload finished
+ * @property {boolean} valid - Whether the entry passed allow_upload validation
+ * @property {string[]} errors - Server-side entry errors
+ */
+
+function toUploadEntry(entry) {
+  return {
+    ref: entry.ref,
+    name: entry.client_name,
+    size: entry.client_size,
+    lastModified: entry.client_last_modified ?? null,
+    progress: entry.progress ?? 0,
+    done: Boolean(entry.done),
+    valid: entry.valid !== false,
+    errors: entry.errors || []
+  };
+}
+
+function findUploadInput(name, target) {
+  const el = target && 'element' in target ? target.element : target;
+  const root = el?.closest?.('[data-phx-session]') || document.querySelector('[data-phx-main]') || document;
+
+  return Array.from(root.querySelectorAll('input[type="file"][data-phx-upload-ref]'))
+    .find((input) => input.name === name) || null;
+}
+
+/**
+ * Drive a LiveView upload (`allow_upload`) from a Svelte component.
+ *
+ * Files are handed to the view's `live_file_input` for `name`, so LiveView
+ * runs its own upload protocol, including external uploaders configured on
+ * the LiveSocket. Entry progress and errors come back from the server via
+ * `push_upload_state/2` (LiveSvelteHelpers), usually called from the
+ * upload's `:progress` callback and the form's validate handler.
+ *
+ * @param {string} name - Upload name given to allow_upload
+ * @param {object} [options]
+ * @param {HTMLElement | object} [options.target] - Element or useLiveTarget scope
+ *   inside the LiveView that owns the upload (defaults to the main view)
+ * @returns {{
+ *   entries: import('svelte/store').Readable<LiveUploadEntry[]>,
+ *   errors: import('svelte/store').Readable<string[]>,
+ *   upload: (files: FileList | File[]) => boolean,
+ *   cancel: (ref: string) => void,
+ *   entryFor: (file: File) => LiveUploadEntry | null,
+ *   destroy: () => void
+ * }}
+ *
+ * @example
+ * const avatar = createLiveUpload('avatar');
+ * const { entries } = avatar;
+ *
+ * avatar.upload(input.files);
+ * // $entries[0].progress, $entries[0].errors
+ */
+export function createLiveUpload(name, { target = null } = {}) {
+  const entries = writable([]);
+  const errors = writable([]);
+
+  const onState = ({ detail }) => {
+    if (detail?.name !== name) return;
+    runIncoming({ event: 'upload:state', payload: detail, hook: null }, (ctx) => {
+      checkEvent(ctx.event, ctx.payload, 'receive');
+      entries.set((ctx.payload.entries || []).map(toUploadEntry));
+      errors.set(ctx.payload.errors || []);
+    });
+  };
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('phx:upload:state', onState);
+  }
+
+  return {
+    entries: { subscribe: entries.subscribe },
+    errors: { subscribe: errors.subscribe },
+
+    /**
+     * Start uploading files. Returns false if no live_file_input
+     * for the upload is rendered in the view.
+     */
+    upload(files) {
+      const input = findUploadInput(name, target);
+      if (!input) {
+        console.warn(`No live_file_input found for upload: ${name}`);
+        return false;
+      }
+
+      // Same event LiveView's hook upload() API and phx-drop-target dispatch
+      input.dispatchEvent(new CustomEvent('track-uploads', {
+        bubbles: true,
+        cancelable: true,
+        detail: { files: Array.from(files) }
+      }));
+      return true;
+    },
+
+    cancel(ref) {
+      pushEvent('upload:cancel', { name, ref }, target);
+    },
+
+    entryFor(file) {
+      return get(entries).find((entry) =>
+        entry.name === file.name &&
+        entry.size === file.size &&
+        (entry.lastModified == null || entry.lastModified === file.lastModified)
+      ) ?? null;
+    },
+
+    destroy() {
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('phx:upload:state', onState);
+      }
+      entries.set([]);
+      errors.set([]);
+    }
+  };
+}
+
 // =============================================================================
 // LiveView Hooks
 // =============================================================================
 
+/**
+ * Listen for a server push event from a hook. The payload passes through
+ * the incoming middleware chain and is validated against the event
+ * registry (events.js) in debug mode.
+ *
+ * @param {object} hook - LiveView hook instance (`this` inside mounted)
+ * @param {string} event - Event name
+ * @param {(payload: any) => void} callback
+ * @returns {any} Reference returned by hook.handleEvent
+ *
+ * @example
+ * mounted() {
+ *   handleServerEvent(this, 'todo:added', ({ todo }) => todos.append(todo));
+ * }
+ */
+export function handleServerEvent(hook, event, callback) {
+  return hook.handleEvent(event, (payload) => {
+    runIncoming({ event, payload, hook }, (ctx) => {
+      checkEvent(ctx.event, ctx.payload, 'receive');
+      callback(ctx.payload);
+    });
+  });
+}
+
 /**
  * Initialize LiveView hooks for Svelte integration.
  * Call this when setting up LiveSocket.
@@ -274,43 +1297,121 @@ export function initLiveViewHooks() {
   return {
     /**
      * Toast hook - handles toast events from server
+     *
+     * `toast` with an `id` that is already showing updates it in place;
+     * `toast:update` and `toast:dismiss` target a toast by id, whether the
+     * server or the client chose it.
      */
     Toast: {
       mounted() {
-        this.handleEvent('toast', ({ message, variant, duration, action }) => {
-          toast[variant || 'info'](message, { duration, action });
+        handleServerEvent(this, 'toast', ({ id, message, variant, duration, action }) => {
+          toast[variant || 'info'](message, { id: id ?? undefined, duration, action });
+        });
+
+        handleServerEvent(this, 'toast:update', ({ id, ...changes }) => {
+          toast.update(id, changes);
+        });
+
+        handleServerEvent(this, 'toast:dismiss', ({ id }) => {
+          toast.dismiss(id);
         });
       }
     },
 
     /**
      * Store hook - handles store updates from server
+     *
+     * `store:update` replaces the value. `store:patch` applies JSON Patch
+     * operations when its version follows the last applied one; on a gap
+     * or a failed patch it pushes `store:resync` so the server can send a
+     * full `store:update`. An unanswered request is sent again on reconnect
+     * or by the next patch once it times out.
      */
     StoreSync: {
       mounted() {
-        this.handleEvent('store:update', ({ store: storeName, data }) => {
-          const store = storeRegistry.get(storeName);
-          if (store) {
-            store.set(data);
+        this.storeScope = acquireStoreScope(this);
+
+        handleServerEvent(this, 'store:update', ({ store: storeName, data, version }) => {
+          const found = findStores('store', storeName, this.storeScope);
+          if (found) {
+            found.stores.forEach((store) => store.set(data));
+            settleStoreResync(found.scope, storeName);
+            if (version != null) versionsFor(found.scope).set(storeName, version);
           } else {
             console.warn(`Store not registered: ${storeName}`);
           }
         });
+
+        handleServerEvent(this, 'store:patch', ({ store: storeName, ops, version }) => {
+          const found = findStores('store', storeName, this.storeScope);
+          if (!found) {
+            console.warn(`Store not registered: ${storeName}`);
+            return;
+          }
+
+          const versions = versionsFor(found.scope);
+          const current = versions.get(storeName);
+
+          // Already applied (duplicate delivery)
+          if (current != null && version <= current) return;
+
+          if (current == null || version !== current + 1) {
+            requestStoreResync(this, found.scope, storeName);
+            return;
+          }
+
+          let failed = false;
+          for (const store of found.stores) {
+            try {
+              store.update((value) => applyPatch(value, ops));
+            } catch (error) {
+              console.warn(`Could not apply patch to ${storeName}:`, error);
+              failed = true;
+            }
+          }
+
+          // A resync replaces every store with the full value
+          if (failed) {
+            requestStoreResync(this, found.scope, storeName);
+          } else {
+            versions.set(storeName, version);
+          }
+        });
+      },
+
+      reconnected() {
+        retryStoreResyncs(this, this.storeScope);
+      },
+
+      destroyed() {
+        releaseStoreScope(this);
       }
     },
 
     /**
      * Svelte component hook - handles component-specific events
+     *
+     * `this.context` holds a live target scoped to the hook element; pass
+     * it as `context` when mounting a component into the element.
      */
     SvelteComponent: {
       mounted() {
+        // Stores the component registers live as long as its view
+        acquireStoreScope(this);
+        this.context = liveTargetContext(this.el);
+        this.liveTarget = this.context.get(LIVE_TARGET_KEY);
+
         const componentId = this.el.dataset.svelteId;
         if (!componentId) return;
 
-        this.handleEvent(`svelte:${componentId}`, ({ event, payload }) => {
+        handleServerEvent(this, `svelte:${componentId}`, ({ event, payload }) => {
           const listeners = componentListeners.get(componentId);
           listeners?.forEach(callback => callback(event, payload));
         });
+      },
+
+      destroyed() {
+        releaseStoreScope(this);
       }
     },
 
@@ -323,7 +1424,7 @@ export function initLiveViewHooks() {
         this.showFlash();
 
         // Handle flash updates
-        this.handleEvent('flash', () => this.showFlash());
+        handleServerEvent(this, 'flash', () => this.showFlash());
       },
 
       updated() {
@@ -348,8 +1449,30 @@ export function initLiveViewHooks() {
 /**
  * Create a store that syncs with LiveView assigns.
  *
+ * With `sync: 'two-way'`, local `set`/`update` calls are debounced into a
+ * `store:write` push event (`{ store, data }`) and `state` tracks whether
+ * local changes are `pending`, `confirmed` by the server or failed
+ * (`error`). A server `store:update` that arrives while local changes are
+ * still unsent is resolved with `conflict`:
+ * - `'local'` (default) - keep the local value; the pending write wins
+ * - `'server'` - take the server value and drop the pending write
+ * - `(local, server) => merged` - keep the merged value and write it
+ *
+ * A `store:update` that arrives while a write is in flight is held until
+ * the reply. LiveView delivers updates pushed while handling the write
+ * before its reply, so on success the held value (e.g. the server's
+ * canonical form of the written data) is applied; if the write fails it is
+ * resolved with `conflict`.
+ *
  * @param {string} assignName - Name of the LiveView assign
  * @param {any} initialValue - Initial value before server sends data
+ * @param {object} [options]
+ * @param {'one-way' | 'two-way'} [options.sync='one-way'] - Write local changes back to the server
+ * @param {number} [options.debounce=300] - Write debounce in ms
+ * @param {string} [options.event='store:write'] - Write event name
+ * @param {'local' | 'server' | ((local: any, server: any) => any)} [options.conflict='local']
+ * @param {number} [options.timeout] - Write reply timeout in ms
+ * @param {string | HTMLElement | object} [options.scope] - Store scope (see registerStore)
  * @returns {import('svelte/store').Writable}
  *
  * @example
@@ -358,19 +1481,170 @@ export function initLiveViewHooks() {
  *
  * // LiveView pushes: assign(socket, users: updated_users)
  * // Store automatically updates
+ *
+ * // Two-way: bind inputs straight to server state
+ * const settings = createLiveStore('settings', {}, { sync: 'two-way', debounce: 500 });
+ * const state = settings.state;
+ *
+ * <input bind:value={$settings.title} />
+ * {#if $state.status === 'pending'}Saving...{/if}
  */
-export function createLiveStore(assignName, initialValue) {
+export function createLiveStore(assignName, initialValue, options = {}) {
   const store = writable(initialValue);
 
-  // Register for server updates
-  registerStore(assignName, store);
+  if (options.sync !== 'two-way') {
+    // Register for server updates
+    const unregister = registerStore(assignName, store, { scope: options.scope });
+
+    // Return store with cleanup
+    return {
+      subscribe: store.subscribe,
+      set: store.set,
+      update: store.update,
+      destroy: unregister
+    };
+  }
+
+  const {
+    debounce = 300,
+    event = 'store:write',
+    conflict = 'local',
+    timeout
+  } = options;
+
+  const state = writable({ status: 'confirmed', error: null });
+
+  let serverValue = initialValue;
+  let timer = null;
+  let inFlight = null;
+  // Local changes not yet sent to the server
+  let dirty = false;
+  // Server value received while a write was in flight
+  let held = null;
+
+  function scheduleWrite() {
+    dirty = true;
+    state.set({ status: 'pending', error: null });
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounce);
+  }
+
+  async function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!dirty) return;
+
+    dirty = false;
+    const data = get(store);
+    const write = pushEventAsync(event, { store: assignName, data }, { timeout });
+    inFlight = write;
+
+    try {
+      await write;
+      if (inFlight !== write) return;
+      inFlight = null;
+
+      // The server accepted our value. An update pushed with the reply
+      // (held) is its version of it; apply that like any server value.
+      if (held) {
+        const { value } = held;
+        held = null;
+        receive(value);
+      } else {
+        serverValue = data;
+        if (!dirty) state.set({ status: 'confirmed', error: null });
+      }
+    } catch (error) {
+      if (inFlight === write) {
+        state.set({ status: 'error', error });
+        if (held) resolveHeld();
+      }
+    } finally {
+      if (inFlight === write) inFlight = null;
+    }
+  }
+
+  // The write failed, so the held server value is current: apply the conflict policy
+  function resolveHeld() {
+    const { value } = held;
+    held = null;
+
+    if (conflict === 'server') {
+      store.set(value);
+    } else if (typeof conflict === 'function') {
+      store.set(conflict(get(store), value));
+    }
+  }
+
+  function receive(value) {
+    serverValue = value;
+
+    if (!dirty && inFlight) {
+      // Hold it until the write settles: on success it is the server's
+      // answer to the write, on failure it conflicts with the local value
+      held = { value };
+      return;
+    }
+
+    if (!dirty) {
+      // Nothing unsent: the server value is authoritative (including echoes of our writes)
+      store.set(value);
+      state.set({ status: 'confirmed', error: null });
+      return;
+    }
+
+    if (conflict === 'server') {
+      clearTimeout(timer);
+      timer = null;
+      dirty = false;
+      store.set(value);
+      state.set({ status: 'confirmed', error: null });
+    } else if (typeof conflict === 'function') {
+      store.set(conflict(get(store), value));
+    }
+  }
+
+  // Server updates (and patches, applied to the last server value) go through
+  // receive. When the owning view is destroyed, unsent changes are dropped.
+  const unregister = registerStore(assignName, {
+    set: receive,
+    update: (fn) => receive(fn(serverValue)),
+    destroy() {
+      clearTimeout(timer);
+      timer = null;
+      dirty = false;
+      held = null;
+    }
+  }, { scope: options.scope });
 
-  // Return store with cleanup
   return {
     subscribe: store.subscribe,
-    set: store.set,
-    update: store.update,
-    destroy: () => unregisterStore(assignName)
+
+    set(value) {
+      store.set(value);
+      scheduleWrite();
+    },
+
+    update(fn) {
+      store.update(fn);
+      scheduleWrite();
+    },
+
+    /**
+     * Write state: { status: 'pending' | 'confirmed' | 'error', error }
+     */
+    state: { subscribe: state.subscribe },
+
+    /**
+     * Send pending local changes now
+     */
+    flush,
+
+    destroy() {
+      if (dirty) flush();
+      clearTimeout(timer);
+      unregister();
+    }
   };
 }
 
@@ -380,35 +1654,201 @@ export function createLiveStore(assignName, initialValue) {
 
 /**
  * Presence state store
+ *
+ * `users` has one entry per presence key: the first meta's fields plus
+ * `id`, all `metas` and `count` (number of connections). `metas` maps
+ * each key to its metas.
  */
 export const presence = writable({
   users: [],
   metas: new Map()
 });
 
+const refsOf = (metas) => metas.map((meta) => meta.phx_ref);
+
+/**
+ * Apply a Phoenix Presence diff (`{ joins, leaves }`) to a presence state.
+ * Same semantics as `Presence.syncDiff` in phoenix.js, without mutating `state`.
+ *
+ * @param {Object<string, { metas: object[] }>} state - Current state
+ * @param {{ joins?: object, leaves?: object }} diff
+ * @param {object} [callbacks]
+ * @param {(key: string, current: object | undefined, joined: object) => void} [callbacks.onJoin]
+ * @param {(key: string, current: object, left: object) => void} [callbacks.onLeave]
+ * @returns {Object<string, { metas: object[] }>} New state
+ */
+export function syncPresenceDiff(state, { joins = {}, leaves = {} }, { onJoin, onLeave } = {}) {
+  const next = { ...state };
+
+  for (const [key, joined] of Object.entries(joins)) {
+    const current = next[key];
+    const joinedRefs = refsOf(joined.metas);
+    const kept = current ? current.metas.filter((meta) => !joinedRefs.includes(meta.phx_ref)) : [];
+
+    next[key] = { ...joined, metas: [...kept, ...joined.metas] };
+    onJoin?.(key, current, joined);
+  }
+
+  for (const [key, left] of Object.entries(leaves)) {
+    const current = next[key];
+    if (!current) continue;
+
+    const leftRefs = refsOf(left.metas);
+    const remaining = { ...current, metas: current.metas.filter((meta) => !leftRefs.includes(meta.phx_ref)) };
+
+    onLeave?.(key, remaining, left);
+
+    if (remaining.metas.length === 0) {
+      delete next[key];
+    } else {
+      next[key] = remaining;
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Replace a presence state with a full `presence_state` payload, calling
+ * onJoin/onLeave for the differences. Same semantics as `Presence.syncState`.
+ *
+ * @param {Object<string, { metas: object[] }>} state - Current state
+ * @param {Object<string, { metas: object[] }>} newState - Full state from the server
+ * @param {object} [callbacks] - See syncPresenceDiff
+ * @returns {Object<string, { metas: object[] }>} New state
+ */
+export function syncPresenceState(state, newState, callbacks = {}) {
+  const joins = {};
+  const leaves = {};
+
+  for (const [key, current] of Object.entries(state)) {
+    if (!(key in newState)) leaves[key] = current;
+  }
+
+  for (const [key, incoming] of Object.entries(newState)) {
+    const current = state[key];
+
+    if (!current) {
+      joins[key] = incoming;
+      continue;
+    }
+
+    const incomingRefs = refsOf(incoming.metas);
+    const currentRefs = refsOf(current.metas);
+    const joinedMetas = incoming.metas.filter((meta) => !currentRefs.includes(meta.phx_ref));
+    const leftMetas = current.metas.filter((meta) => !incomingRefs.includes(meta.phx_ref));
+
+    if (joinedMetas.length > 0) joins[key] = { ...incoming, metas: joinedMetas };
+    if (leftMetas.length > 0) leaves[key] = { ...current, metas: leftMetas };
+  }
+
+  return syncPresenceDiff(state, { joins, leaves }, callbacks);
+}
+
+function presenceToStore(state) {
+  const metas = new Map();
+  const users = Object.entries(state).map(([id, { metas: list }]) => {
+    metas.set(id, list);
+    return { ...list[0], id, metas: list, count: list.length };
+  });
+
+  return { users, metas };
+}
+
 /**
  * Initialize presence tracking.
  * Call from a component that needs presence data.
  *
+ * Fills the exported `presence` store from Phoenix Presence
+ * `presence_state` / `presence_diff` payloads, received either:
+ * - `via: 'liveview'` (default) - LiveView push events with a `topic` key,
+ *   sent by `push_presence_state/3` and `push_presence_diff/3` in RealtimeHelpers
+ * - `via: 'channel'` - a Phoenix channel (`options.channel`, or one joined
+ *   on the LiveSocket's socket for `topic`)
+ *
  * @param {string} topic - Presence topic to join
+ * @param {object} [options]
+ * @param {'liveview' | 'channel'} [options.via='liveview'] - Transport
+ * @param {object} [options.channel] - Existing Phoenix channel to listen on
+ * @param {object} [options.params] - Join params when a channel is created
+ * @param {(id: string, current: object | undefined, joined: object) => void} [options.onJoin]
+ * @param {(id: string, current: object, left: object) => void} [options.onLeave]
+ * @param {() => void} [options.onSync] - Called after each state or diff is applied
+ * @returns {() => void} Cleanup function
  *
  * @example
  * onMount(() => {
- *   const cleanup = initPresence('room:lobby');
+ *   const cleanup = initPresence('room:lobby', {
+ *     onJoin: (id, current) => { if (!current) toast.info(`${id} joined`); }
+ *   });
  *   return cleanup;
  * });
  */
-export function initPresence(topic) {
-  const socket = getLiveSocket();
-  if (!socket?.channel) {
-    console.warn('LiveSocket channel not available for presence');
-    return () => {};
+export function initPresence(topic, options = {}) {
+  const { via = 'liveview', onJoin, onLeave, onSync } = options;
+  let state = {};
+
+  const apply = (next) => {
+    state = next;
+    presence.set(presenceToStore(state));
+    onSync?.();
+  };
+
+  const handleState = (newState) => apply(syncPresenceState(state, newState || {}, { onJoin, onLeave }));
+  const handleDiff = (diff) => apply(syncPresenceDiff(state, diff || {}, { onJoin, onLeave }));
+
+  const reset = () => presence.set({ users: [], metas: new Map() });
+
+  if (via === 'channel') {
+    let channel = options.channel;
+    const ownsChannel = !channel;
+
+    if (!channel) {
+      const phxSocket = getLiveSocket()?.getSocket?.();
+      if (!phxSocket) {
+        console.warn('LiveSocket not available for presence');
+        return () => {};
+      }
+      channel = phxSocket.channel(topic, options.params || {});
+      channel.join();
+    }
+
+    const stateRef = channel.on('presence_state', handleState);
+    const diffRef = channel.on('presence_diff', handleDiff);
+
+    return () => {
+      channel.off('presence_state', stateRef);
+      channel.off('presence_diff', diffRef);
+      if (ownsChannel) channel.leave();
+      reset();
+    };
   }
 
-  // This would integrate with Phoenix.Presence
-  // Implementation depends on your presence setup
+  if (typeof window === 'undefined') return () => {};
+
+  // LiveView dispatches push_event payloads as `phx:<event>` window events
+  const onState = ({ detail }) => {
+    if (detail?.topic !== topic) return;
+    runIncoming({ event: 'presence_state', payload: detail, hook: null }, (ctx) => {
+      checkEvent(ctx.event, ctx.payload, 'receive');
+      handleState(ctx.payload.state);
+    });
+  };
+
+  const onDiff = ({ detail }) => {
+    if (detail?.topic !== topic) return;
+    runIncoming({ event: 'presence_diff', payload: detail, hook: null }, (ctx) => {
+      checkEvent(ctx.event, ctx.payload, 'receive');
+      handleDiff(ctx.payload);
+    });
+  };
+
+  window.addEventListener('phx:presence_state', onState);
+  window.addEventListener('phx:presence_diff', onDiff);
 
   return () => {
-    // Cleanup
+    window.removeEventListener('phx:presence_state', onState);
+    window.removeEventListener('phx:presence_diff', onDiff);
+    reset();
   };
 }
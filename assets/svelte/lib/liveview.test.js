@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { get } from 'svelte/store';
+import { setLiveSocket, initLiveViewHooks, createLiveStore } from './liveview.js';
+
+// A StoreSync hook mounted on the main view, with the server events it
+// listens to in `handlers`
+function mountStoreSync() {
+  const handlers = {};
+  const hook = Object.create(initLiveViewHooks().StoreSync);
+  hook.el = document.getElementById('phx-main');
+  hook.handleEvent = (event, callback) => {
+    handlers[event] = callback;
+  };
+  hook.pushEvent = () => {};
+  hook.mounted();
+  return { hook, handlers };
+}
+
+describe('createLiveStore two-way', () => {
+  let handlers;
+  let hook;
+  let onWrite;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="phx-main" data-phx-main data-phx-session="s"></div>';
+    ({ hook, handlers } = mountStoreSync());
+
+    // The server's handle_event("store:write", ...): returns the reply
+    onWrite = () => ({ ok: true });
+    const view = {
+      pushEvent(event, payload, onReply) {
+        onReply(onWrite(payload));
+      }
+    };
+    setLiveSocket({ isConnected: () => true, getViewByEl: () => view });
+  });
+
+  afterEach(() => {
+    hook.destroyed();
+  });
+
+  it('applies the store:update pushed with the write reply', async () => {
+    const title = createLiveStore('title', '', { sync: 'two-way' });
+    onWrite = ({ data }) => {
+      handlers['store:update']({ store: 'title', data: data.trim() });
+      return { ok: true };
+    };
+
+    title.set('  Hello  ');
+    await title.flush();
+
+    expect(get(title)).toBe('Hello');
+    expect(get(title.state).status).toBe('confirmed');
+    title.destroy();
+  });
+
+  it('keeps the written value when the server sends nothing back', async () => {
+    const title = createLiveStore('title', '', { sync: 'two-way' });
+
+    title.set('Hello');
+    await title.flush();
+
+    expect(get(title)).toBe('Hello');
+    expect(get(title.state).status).toBe('confirmed');
+    title.destroy();
+  });
+
+  it('resolves an update held during a failed write with the conflict policy', async () => {
+    const title = createLiveStore('title', 'Draft', { sync: 'two-way', conflict: 'server' });
+    onWrite = () => {
+      handlers['store:update']({ store: 'title', data: 'From server' });
+      return { error: 'Could not save' };
+    };
+
+    title.set('Mine');
+    await title.flush();
+
+    expect(get(title)).toBe('From server');
+    expect(get(title.state).status).toBe('error');
+    title.destroy();
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * LiveView Event Middleware
+ *
+ * An ordered chain of functions that sees every LiveView event in both
+ * directions: events pushed with pushEvent/pushEventAsync (outgoing) and
+ * server push events received by the hooks (incoming).
+ *
+ * A middleware receives a context and `next`:
+ * - transform: `next({ ...ctx, payload: { ...ctx.payload, trace_id } })`
+ * - short-circuit: return without calling `next`
+ * - observe: `const result = next(ctx); ...; return result;`
+ *
+ * Usage:
+ *   import { useEventMiddleware, eventLogger } from '$lib/middleware';
+ *
+ *   useEventMiddleware(eventLogger);
+ *
+ *   useEventMiddleware({
+ *     outgoing: (ctx, next) => next({ ...ctx, payload: { ...ctx.payload, trace_id: newTraceId() } })
+ *   });
+ */
+
+import { logEvent } from './debug.js';
+
+// =============================================================================
+// Chains
+// =============================================================================
+
+/**
+ * @typedef {object} EventContext
+ * @property {string} event - Event name
+ * @property {any} payload - Event payload
+ * @property {'outgoing' | 'incoming'} direction
+ * @property {object} meta - Free-form data shared along the chain
+ * @property {boolean} [async] - Outgoing: sent with pushEventAsync (next returns a promise)
+ * @property {HTMLElement | object | null} [target] - Outgoing: element or useLiveTarget scope
+ * @property {object} [options] - Outgoing: pushEvent/pushEventAsync options
+ * @property {object} [hook] - Incoming: hook instance that received the event
+ */
+
+/**
+ * @typedef {(ctx: EventContext, next: (ctx?: EventContext) => any) => any} EventMiddleware
+ */
+
+/** @type {EventMiddleware[]} */
+const outgoingChain = [];
+
+/** @type {EventMiddleware[]} */
+const incomingChain = [];
+
+/**
+ * Add middleware for outgoing and/or incoming events.
+ * Middleware runs in registration order.
+ *
+ * @param {object} middleware
+ * @param {EventMiddleware} [middleware.outgoing] - Runs for pushEvent/pushEventAsync
+ * @param {EventMiddleware} [middleware.incoming] - Runs for server push events
+ * @returns {() => void} Remove function
+ *
+ * @example
+ * // Drop analytics events while offline
+ * const remove = useEventMiddleware({
+ *   outgoing: (ctx, next) => (ctx.event.startsWith('analytics:') && !navigator.onLine ? undefined : next(ctx))
+ * });
+ */
+export function useEventMiddleware({ outgoing, incoming } = {}) {
+  if (outgoing) outgoingChain.push(outgoing);
+  if (incoming) incomingChain.push(incoming);
+
+  return () => {
+    if (outgoing) {
+      const index = outgoingChain.indexOf(outgoing);
+      if (index > -1) outgoingChain.splice(index, 1);
+    }
+    if (incoming) {
+      const index = incomingChain.indexOf(incoming);
+      if (index > -1) incomingChain.splice(index, 1);
+    }
+  };
+}
+
+function run(chain, ctx, terminal) {
+  const dispatch = (index, current) => {
+    if (index === chain.length) return terminal(current);
+    return chain[index](current, (nextCtx = current) => dispatch(index + 1, nextCtx));
+  };
+
+  return dispatch(0, ctx);
+}
+
+/**
+ * Run an outgoing event through the chain, ending in `deliver`.
+ *
+ * @param {Omit<EventContext, 'direction' | 'meta'>} ctx
+ * @param {(ctx: EventContext) => any} deliver - Sends the event
+ * @returns {any} Whatever the chain returns
+ */
+export function runOutgoing(ctx, deliver) {
+  return run([...outgoingChain], { ...ctx, direction: 'outgoing', meta: {} }, deliver);
+}
+
+/**
+ * Run an incoming event through the chain, ending in `handle`.
+ *
+ * @param {Omit<EventContext, 'direction' | 'meta'>} ctx
+ * @param {(ctx: EventContext) => any} handle - Dispatches the event to listeners
+ * @returns {any} Whatever the chain returns
+ */
+export function runIncoming(ctx, handle) {
+  return run([...incomingChain], { ...ctx, direction: 'incoming', meta: {} }, handle);
+}
+
+// =============================================================================
+// Built-in Middleware
+// =============================================================================
+
+/**
+ * Logs every event through debug.js (`send` / `receive` entries), with
+ * the reply time for pushEventAsync calls.
+ *
+ * @example
+ * useEventMiddleware(eventLogger);
+ */
+export const eventLogger = {
+  outgoing(ctx, next) {
+    logEvent('send', ctx.event, ctx.payload);
+
+    const start = performance.now();
+    const result = next(ctx);
+
+    if (ctx.async && result?.then) {
+      result.then(
+        (reply) => logEvent('receive', `${ctx.event}:reply`, reply, { duration: performance.now() - start }),
+        (error) => logEvent('error', `${ctx.event}:reply`, error, { duration: performance.now() - start })
+      );
+    }
+
+    return result;
+  },
+
+  incoming(ctx, next) {
+    logEvent('receive', ctx.event, ctx.payload);
+    return next(ctx);
+  }
+};
+
+/**
+ * Wrap a middleware (e.g. a logger or metrics reporter) so it sees the
+ * given payload fields as `[REDACTED]`. The real payload still continues
+ * down the chain unchanged.
+ *
+ * @param {string[]} fields - Top-level payload keys to redact
+ * @param {EventMiddleware} middleware - Middleware that should see redacted payloads
+ * @returns {EventMiddleware}
+ *
+ * @example
+ * useEventMiddleware({
+ *   outgoing: redactFields(['password', 'token'], eventLogger.outgoing)
+ * });
+ */
+export function redactFields(fields, middleware) {
+  const redact = (payload) => {
+    if (!payload || typeof payload !== 'object') return payload;
+    const copy = { ...payload };
+    for (const field of fields) {
+      if (field in copy) copy[field] = '[REDACTED]';
+    }
+    return copy;
+  };
+
+  return (ctx, next) =>
+    middleware({ ...ctx, payload: redact(ctx.payload) }, () => next(ctx));
+}
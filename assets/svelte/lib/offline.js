@@ -0,0 +1,222 @@
+/**
+ * Offline Event Queue
+ *
+ * Holds outbound LiveView events while the socket is disconnected and
+ * persists them to localStorage so they survive a reload. The LiveView
+ * helpers replay them in order once the connection is back.
+ *
+ * Features:
+ * - Durable FIFO queue (localStorage)
+ * - Per-event idempotency keys
+ * - Configurable overflow (drop) and merge policies
+ * - `pendingEvents` store for "N changes waiting to sync" UI
+ *
+ * Usage:
+ *   import { enableOfflineQueue } from '$lib/liveview';
+ *   import { pendingCount } from '$lib/offline';
+ *
+ *   enableOfflineQueue({ maxSize: 50, merge: 'replace' });
+ *
+ *   // In a component:
+ *   {#if $pendingCount > 0}{$pendingCount} changes waiting to sync{/if}
+ */
+
+import { writable, derived, get } from 'svelte/store';
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+const defaultConfig = {
+  storageKey: 'ash-stack:outbox',
+  maxSize: 100,
+  overflow: 'drop-oldest',
+  merge: 'none',
+  getKey: (event) => event
+};
+
+let config = { ...defaultConfig };
+
+/**
+ * Configure the offline queue.
+ *
+ * @param {object} options
+ * @param {string} [options.storageKey] - localStorage key
+ * @param {number} [options.maxSize=100] - Maximum queued events
+ * @param {'drop-oldest' | 'drop-newest'} [options.overflow='drop-oldest'] - What to drop when full
+ * @param {'none' | 'replace' | ((existing: object, incoming: object) => object)} [options.merge='none']
+ *   How to combine an event with a queued event of the same key and target
+ * @param {(event: string, payload: object) => string} [options.getKey] - Merge key (default: event name)
+ *
+ * @example
+ * configureOfflineQueue({
+ *   merge: (existing, incoming) => ({ ...existing, ...incoming }),
+ *   getKey: (event, payload) => `${event}:${payload.id}`
+ * });
+ */
+export function configureOfflineQueue(options = {}) {
+  const previousKey = config.storageKey;
+  config = { ...config, ...options };
+
+  if (config.storageKey !== previousKey) {
+    entries.set(load());
+  }
+}
+
+// =============================================================================
+// Persistence
+// =============================================================================
+
+function load() {
+  if (typeof localStorage === 'undefined') return [];
+  try {
+    const stored = localStorage.getItem(config.storageKey);
+    return stored ? JSON.parse(stored) : [];
+  } catch {
+    return [];
+  }
+}
+
+function persist(list) {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    if (list.length > 0) {
+      localStorage.setItem(config.storageKey, JSON.stringify(list));
+    } else {
+      localStorage.removeItem(config.storageKey);
+    }
+  } catch (error) {
+    console.warn('[OfflineQueue] Could not persist queue:', error);
+  }
+}
+
+// =============================================================================
+// Queue
+// =============================================================================
+
+/**
+ * @typedef {object} QueuedEvent
+ * @property {string} id - Idempotency key, sent as `_idempotency_key`
+ * @property {string} event - Event name
+ * @property {object} payload - Event payload
+ * @property {string} key - Merge key
+ * @property {{ view: string | null, phxTarget: string | number | null } | null} target
+ *   Nested LiveView element id and phx-target to send to (null for the main view)
+ * @property {number} queuedAt - Timestamp
+ */
+
+const entries = writable(load());
+
+entries.subscribe(persist);
+
+let idCounter = 0;
+
+// Events for different views or components are never merged
+function sameTarget(a, b) {
+  return (a?.view ?? null) === (b?.view ?? null) && (a?.phxTarget ?? null) === (b?.phxTarget ?? null);
+}
+
+function createId() {
+  idCounter += 1;
+  return `evt_${Date.now().toString(36)}_${idCounter}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Events waiting to be sent, oldest first.
+ * @type {import('svelte/store').Readable<QueuedEvent[]>}
+ */
+export const pendingEvents = { subscribe: entries.subscribe };
+
+/**
+ * Number of events waiting to be sent.
+ * @type {import('svelte/store').Readable<number>}
+ */
+export const pendingCount = derived(entries, ($entries) => $entries.length);
+
+/** @type {Set<(dropped: QueuedEvent[]) => void>} */
+const dropListeners = new Set();
+
+/**
+ * Listen for queued events dropped by the `drop-oldest` overflow policy.
+ *
+ * @param {(dropped: QueuedEvent[]) => void} listener
+ * @returns {() => void} Stop listening
+ */
+export function onEventsDropped(listener) {
+  dropListeners.add(listener);
+  return () => dropListeners.delete(listener);
+}
+
+/**
+ * Add an event to the queue, applying the merge and overflow policies.
+ *
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload
+ * @param {object} [options]
+ * @param {QueuedEvent['target']} [options.target] - Where to send it on replay
+ * @returns {QueuedEvent | null} The queued (or merged) entry, null if dropped
+ */
+export function queueEvent(event, payload = {}, { target = null } = {}) {
+  const key = config.getKey(event, payload);
+  let queued = null;
+  let dropped = [];
+
+  entries.update((list) => {
+    if (config.merge !== 'none') {
+      const index = list.findIndex((entry) => entry.key === key && sameTarget(entry.target, target));
+      if (index > -1) {
+        const existing = list[index];
+        const merged = typeof config.merge === 'function'
+          ? config.merge(existing.payload, payload)
+          : payload;
+        queued = { ...existing, payload: merged };
+        return list.map((entry, i) => (i === index ? queued : entry));
+      }
+    }
+
+    const entry = { id: createId(), event, payload, key, target, queuedAt: Date.now() };
+
+    if (list.length >= config.maxSize) {
+      if (config.overflow === 'drop-newest') {
+        console.warn(`[OfflineQueue] Queue full, dropped event: ${event}`);
+        return list;
+      }
+      const excess = list.length - config.maxSize + 1;
+      dropped = list.slice(0, excess);
+      list = list.slice(excess);
+    }
+
+    queued = entry;
+    return [...list, entry];
+  });
+
+  if (dropped.length > 0) {
+    console.warn(`[OfflineQueue] Queue full, dropped ${dropped.length} oldest event(s)`);
+    dropListeners.forEach((listener) => listener(dropped));
+  }
+
+  return queued;
+}
+
+/**
+ * Remove an event from the queue.
+ * @param {string} id - Entry id
+ */
+export function dequeueEvent(id) {
+  entries.update((list) => list.filter((entry) => entry.id !== id));
+}
+
+/**
+ * Get queued events, oldest first.
+ * @returns {QueuedEvent[]}
+ */
+export function getQueuedEvents() {
+  return get(entries);
+}
+
+/**
+ * Drop every queued event.
+ */
+export function clearQueuedEvents() {
+  entries.set([]);
+}
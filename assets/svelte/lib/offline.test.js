@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { get } from 'svelte/store';
+import {
+  setLiveSocket,
+  pushEvent,
+  pushEventAsync,
+  enableOfflineQueue,
+  replayQueuedEvents,
+  LiveEventError
+} from './liveview.js';
+import { createCursorStore } from './realtime.js';
+import { pendingCount, getQueuedEvents, clearQueuedEvents } from './offline.js';
+
+// LiveSocket stand-in: one main view that records what it is sent and
+// answers with `reply(event, payload)`
+function mockLiveSocket(reply = () => ({ ok: true })) {
+  const sent = [];
+  const view = {
+    pushEvent(event, payload, onReply) {
+      sent.push({ event, payload, phxTarget: null });
+      onReply?.(reply(event, payload));
+    },
+    pushEventTo(phxTarget, event, payload, onReply) {
+      sent.push({ event, payload, phxTarget });
+      onReply?.(reply(event, payload));
+    }
+  };
+
+  return {
+    sent,
+    connected: false,
+    isConnected() {
+      return this.connected;
+    },
+    getViewByEl: () => view
+  };
+}
+
+describe('offline queue', () => {
+  let socket;
+  let disable;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="phx-main" data-phx-main data-phx-session="s"></div>';
+    socket = mockLiveSocket();
+    setLiveSocket(socket);
+    disable = enableOfflineQueue({ maxSize: 100, overflow: 'drop-oldest', merge: 'none' });
+  });
+
+  afterEach(() => {
+    disable();
+    clearQueuedEvents();
+  });
+
+  it('queues events while disconnected and replays them in order', async () => {
+    pushEvent('first', { n: 1 });
+    pushEvent('second', { n: 2 });
+
+    expect(socket.sent).toEqual([]);
+    expect(get(pendingCount)).toBe(2);
+
+    socket.connected = true;
+    await replayQueuedEvents();
+
+    expect(socket.sent.map((e) => e.event)).toEqual(['first', 'second']);
+    expect(socket.sent[0].payload).toMatchObject({ n: 1, _idempotency_key: expect.any(String) });
+    expect(get(pendingCount)).toBe(0);
+  });
+
+  it('queues events pushed during replay behind the ones still queued', async () => {
+    pushEvent('first', {});
+    pushEvent('second', {});
+
+    socket.connected = true;
+    const replay = replayQueuedEvents();
+    pushEvent('third', {});
+    await replay;
+
+    expect(socket.sent.map((e) => e.event)).toEqual(['first', 'second', 'third']);
+    expect(getQueuedEvents()).toEqual([]);
+  });
+
+  it('merges events only with queued events for the same target', () => {
+    disable();
+    disable = enableOfflineQueue({ merge: 'replace' });
+    document.body.innerHTML = `
+      <div id="phx-main" data-phx-main data-phx-session="s">
+        <div id="todo-a" data-phx-component="1"><button id="a"></button></div>
+        <div id="todo-b" data-phx-component="2"><button id="b"></button></div>
+      </div>`;
+    const a = document.getElementById('a');
+    const b = document.getElementById('b');
+
+    pushEvent('save', { title: 'one' }, a);
+    pushEvent('save', { title: 'two' }, b);
+    pushEvent('save', { title: 'three' }, b);
+
+    expect(getQueuedEvents().map((e) => [e.target.phxTarget, e.payload.title])).toEqual([
+      ['#todo-a', 'one'],
+      ['#todo-b', 'three']
+    ]);
+  });
+
+  it('drops events pushed with queue: false while offline', () => {
+    pushEvent('save', { id: 1 });
+    pushEvent('cursor:move', { x: 0.5 }, null, { queue: false });
+
+    expect(getQueuedEvents().map((e) => e.event)).toEqual(['save']);
+  });
+
+  it('keeps cursor moves out of the queue', () => {
+    vi.useFakeTimers();
+    disable();
+    disable = enableOfflineQueue({ maxSize: 5, overflow: 'drop-oldest' });
+    const cursors = createCursorStore('doc:1', { throttle: 10 });
+
+    pushEvent('save', { id: 1 });
+    for (let i = 0; i < 5; i++) {
+      cursors.move(i / 10, 0);
+      vi.advanceTimersByTime(20);
+    }
+    cursors.destroy();
+    vi.useRealTimers();
+
+    expect(getQueuedEvents().map((e) => e.event)).toEqual(['save']);
+  });
+
+  it('resolves a queued pushEventAsync with the reply of its replay', async () => {
+    const reply = pushEventAsync('save', { id: 1 });
+    await Promise.resolve();
+    expect(getQueuedEvents()).toHaveLength(1);
+
+    socket.connected = true;
+    await replayQueuedEvents();
+
+    await expect(reply).resolves.toEqual({ ok: true });
+  });
+
+  it('rejects callers of events dropped by a full queue', async () => {
+    disable();
+    disable = enableOfflineQueue({ maxSize: 1, overflow: 'drop-oldest' });
+
+    const dropped = pushEventAsync('save', { id: 1 });
+    await Promise.resolve();
+    pushEvent('save', { id: 2 });
+
+    const error = await dropped.catch((e) => e);
+    expect(error).toBeInstanceOf(LiveEventError);
+    expect(error.reason).toBe('dropped');
+    expect(getQueuedEvents().map((e) => e.payload.id)).toEqual([2]);
+  });
+
+  it('drops events the server rejects and replays the rest', async () => {
+    socket = mockLiveSocket((event) => (event === 'bad' ? { error: 'invalid' } : { ok: true }));
+    setLiveSocket(socket);
+
+    const rejected = pushEventAsync('bad', {});
+    await Promise.resolve();
+    pushEvent('good', {});
+
+    socket.connected = true;
+    await replayQueuedEvents();
+
+    await expect(rejected).rejects.toMatchObject({ reason: 'server' });
+    expect(socket.sent.map((e) => e.event)).toEqual(['bad', 'good']);
+    expect(getQueuedEvents()).toEqual([]);
+  });
+});
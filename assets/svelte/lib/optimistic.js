@@ -9,12 +9,16 @@
  */
 
 import { writable, get } from 'svelte/store';
+import { openTabChannel } from './tabs.js';
 
 /**
  * Create an optimistic store with built-in pending/error state tracking.
  *
  * @template T
  * @param {T} initialValue - Initial store value
+ * @param {Object} [options]
+ * @param {string} [options.crossTab] - Key shared with the same store in other tabs;
+ *   every value change is sent to them (values must be structured-clonable)
  * @returns {OptimisticStore<T>}
  *
  * @example
@@ -26,12 +30,37 @@ import { writable, get } from 'svelte/store';
  *   async () => await api.createTodo(newTodo)  // Actual API call
  * );
  */
-export function createOptimisticStore(initialValue) {
+export function createOptimisticStore(initialValue, options = {}) {
   const store = writable(initialValue);
   const pending = writable(new Set());
   const errors = writable(new Map());
 
   let operationId = 0;
+  let stopMirroring = null;
+
+  if (options.crossTab) {
+    const channel = openTabChannel(`optimistic:${options.crossTab}`);
+    let remote = false;
+    let initial = true;
+
+    const unsubscribe = store.subscribe((value) => {
+      if (!initial && !remote) channel.post(value);
+      initial = false;
+    });
+    const unlisten = channel.subscribe((value) => {
+      remote = true;
+      try {
+        store.set(value);
+      } finally {
+        remote = false;
+      }
+    });
+
+    stopMirroring = () => {
+      unsubscribe();
+      unlisten();
+    };
+  }
 
   return {
     // Core store methods
@@ -134,6 +163,14 @@ export function createOptimisticStore(initialValue) {
      */
     hasErrors() {
       return get(errors).size > 0;
+    },
+
+    /**
+     * Stop mirroring to other tabs
+     */
+    destroy() {
+      stopMirroring?.();
+      stopMirroring = null;
     }
   };
 }
@@ -0,0 +1,232 @@
+/**
+ * JSON Patch (RFC 6902)
+ *
+ * Applies JSON Patch operations immutably so Svelte stores see a new
+ * value and unchanged branches keep their identity.
+ *
+ * Supported operations: add, remove, replace, move, copy, test.
+ *
+ * Usage:
+ *   import { applyPatch } from '$lib/patch';
+ *
+ *   const next = applyPatch(users, [
+ *     { op: 'replace', path: '/0/name', value: 'Ada' },
+ *     { op: 'add', path: '/-', value: { id: 3, name: 'Grace' } }
+ *   ]);
+ */
+
+/**
+ * Error raised when an operation cannot be applied.
+ */
+export class PatchError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} operation - The failing operation
+   */
+  constructor(message, operation) {
+    super(message);
+    this.name = 'PatchError';
+    this.operation = operation;
+  }
+}
+
+// =============================================================================
+// JSON Pointer
+// =============================================================================
+
+/**
+ * Split a JSON Pointer (RFC 6901) into unescaped reference tokens.
+ *
+ * @param {string} pointer - e.g. `/users/0/name`
+ * @returns {string[]}
+ */
+export function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) {
+    throw new PatchError(`Invalid JSON pointer: ${pointer}`);
+  }
+  return pointer
+    .slice(1)
+    .split('/')
+    .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function toIndex(token, length, allowEnd) {
+  if (allowEnd && token === '-') return length;
+  if (!/^(0|[1-9]\d*)$/.test(token)) return -1;
+  const index = Number(token);
+  return index <= (allowEnd ? length : length - 1) ? index : -1;
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function getAt(document, tokens) {
+  let current = document;
+  for (const token of tokens) {
+    if (Array.isArray(current)) {
+      const index = toIndex(token, current.length, false);
+      if (index === -1) return { found: false };
+      current = current[index];
+    } else if (isContainer(current) && Object.prototype.hasOwnProperty.call(current, token)) {
+      current = current[token];
+    } else {
+      return { found: false };
+    }
+  }
+  return { found: true, value: current };
+}
+
+/**
+ * Copy the path down to the parent of the last token and let `fn`
+ * mutate the (copied) parent.
+ */
+function updateParent(document, tokens, fn) {
+  const [token, ...rest] = tokens;
+
+  if (!isContainer(document)) {
+    throw new PatchError(`Path not found: /${tokens.join('/')}`);
+  }
+
+  const copy = Array.isArray(document) ? [...document] : { ...document };
+
+  if (rest.length === 0) {
+    fn(copy, token);
+    return copy;
+  }
+
+  const child = getAt(document, [token]);
+  if (!child.found) {
+    throw new PatchError(`Path not found: /${tokens.join('/')}`);
+  }
+
+  const key = Array.isArray(document) ? toIndex(token, document.length, false) : token;
+  copy[key] = updateParent(child.value, rest, fn);
+  return copy;
+}
+
+// =============================================================================
+// Operations
+// =============================================================================
+
+function add(document, tokens, value) {
+  if (tokens.length === 0) return value;
+
+  return updateParent(document, tokens, (parent, token) => {
+    if (Array.isArray(parent)) {
+      const index = toIndex(token, parent.length, true);
+      if (index === -1) throw new PatchError(`Invalid array index: ${token}`);
+      parent.splice(index, 0, value);
+    } else {
+      parent[token] = value;
+    }
+  });
+}
+
+function remove(document, tokens) {
+  if (tokens.length === 0) {
+    throw new PatchError('Cannot remove the document root');
+  }
+
+  return updateParent(document, tokens, (parent, token) => {
+    if (Array.isArray(parent)) {
+      const index = toIndex(token, parent.length, false);
+      if (index === -1) throw new PatchError(`Invalid array index: ${token}`);
+      parent.splice(index, 1);
+    } else {
+      if (!Object.prototype.hasOwnProperty.call(parent, token)) {
+        throw new PatchError(`Path not found: ${token}`);
+      }
+      delete parent[token];
+    }
+  });
+}
+
+function replace(document, tokens, value) {
+  if (tokens.length === 0) return value;
+
+  return updateParent(document, tokens, (parent, token) => {
+    if (Array.isArray(parent)) {
+      const index = toIndex(token, parent.length, false);
+      if (index === -1) throw new PatchError(`Invalid array index: ${token}`);
+      parent[index] = value;
+    } else {
+      if (!Object.prototype.hasOwnProperty.call(parent, token)) {
+        throw new PatchError(`Path not found: ${token}`);
+      }
+      parent[token] = value;
+    }
+  });
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (!isContainer(a) || !isContainer(b)) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every((key) => isEqual(a[key], b[key]));
+}
+
+/**
+ * Apply a single operation.
+ *
+ * @param {any} document
+ * @param {{ op: string, path: string, value?: any, from?: string }} operation
+ * @returns {any} New document
+ */
+export function applyOperation(document, operation) {
+  const tokens = parsePointer(operation.path);
+
+  try {
+    switch (operation.op) {
+      case 'add':
+        return add(document, tokens, operation.value);
+      case 'remove':
+        return remove(document, tokens);
+      case 'replace':
+        return replace(document, tokens, operation.value);
+      case 'move': {
+        const from = parsePointer(operation.from);
+        const source = getAt(document, from);
+        if (!source.found) throw new PatchError(`Path not found: ${operation.from}`);
+        return add(remove(document, from), tokens, source.value);
+      }
+      case 'copy': {
+        const source = getAt(document, parsePointer(operation.from));
+        if (!source.found) throw new PatchError(`Path not found: ${operation.from}`);
+        return add(document, tokens, source.value);
+      }
+      case 'test': {
+        const target = getAt(document, tokens);
+        if (!target.found || !isEqual(target.value, operation.value)) {
+          throw new PatchError(`Test failed at ${operation.path}`);
+        }
+        return document;
+      }
+      default:
+        throw new PatchError(`Unknown patch operation: ${operation.op}`);
+    }
+  } catch (error) {
+    if (error instanceof PatchError && !error.operation) {
+      error.operation = operation;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Apply a list of operations. Either every operation applies or the
+ * original document is left untouched and a PatchError is thrown.
+ *
+ * @param {any} document - Current value (not mutated)
+ * @param {Array<{ op: string, path: string, value?: any, from?: string }>} operations
+ * @returns {any} New document
+ */
+export function applyPatch(document, operations) {
+  return operations.reduce(applyOperation, document);
+}
@@ -0,0 +1,269 @@
+/**
+ * IndexedDB Snapshots for Realtime Stores
+ *
+ * Saves the value of realtime stores created with the `persist` option so
+ * the next page load can show it before the server has answered.
+ *
+ * Features:
+ * - One record per store key: `{ key, version, savedAt, seq, data }`
+ * - In-memory cache so stores hydrate synchronously once preloaded
+ * - Throttled writes that always keep the latest value
+ * - Versioned records with a migrate hook, and a max age
+ *
+ * Usage:
+ *   import { preloadSnapshots } from '$lib/persist';
+ *
+ *   // In app.js, before mounting Svelte components
+ *   await preloadSnapshots();
+ *
+ *   const messages = createRealtimeStore('messages', [], {
+ *     persist: { key: 'messages:lobby', version: 2, maxAge: 86_400_000 }
+ *   });
+ */
+
+// =============================================================================
+// Database
+// =============================================================================
+
+const DB_NAME = 'ash-stack';
+const STORE_NAME = 'realtime';
+
+/** @type {Promise<IDBDatabase | null> | null} */
+let dbPromise = null;
+
+/**
+ * Snapshots read or written in this page, by key
+ * @type {Map<string, Snapshot>}
+ */
+const cache = new Map();
+
+/**
+ * @typedef {object} Snapshot
+ * @property {string} key - Store key
+ * @property {number} version - Schema version of `data`
+ * @property {number} savedAt - Timestamp of the write
+ * @property {number | null} seq - Last applied sequence number
+ * @property {any} data - Store value
+ */
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    try {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('[Persist] Could not open IndexedDB:', request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      // e.g. private browsing modes that block IndexedDB
+      console.warn('[Persist] Could not open IndexedDB:', error);
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+}
+
+function run(mode, operation) {
+  return openDatabase().then(
+    (db) =>
+      new Promise((resolve) => {
+        if (!db) {
+          resolve(null);
+          return;
+        }
+
+        try {
+          const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+          request.onsuccess = () => resolve(request.result ?? null);
+          request.onerror = () => {
+            console.warn('[Persist] IndexedDB request failed:', request.error);
+            resolve(null);
+          };
+        } catch (error) {
+          console.warn('[Persist] IndexedDB request failed:', error);
+          resolve(null);
+        }
+      })
+  );
+}
+
+// =============================================================================
+// Snapshots
+// =============================================================================
+
+/**
+ * Load every snapshot into memory, so stores created afterwards hydrate
+ * synchronously. Resolves even when IndexedDB is unavailable.
+ *
+ * @returns {Promise<number>} Number of snapshots loaded
+ */
+export async function preloadSnapshots() {
+  const records = (await run('readonly', (store) => store.getAll())) ?? [];
+  records.forEach((record) => {
+    if (!cache.has(record.key)) cache.set(record.key, record);
+  });
+  return records.length;
+}
+
+/**
+ * Get a snapshot from memory, if it was preloaded or written in this page.
+ *
+ * @param {string} key
+ * @returns {Snapshot | null}
+ */
+export function peekSnapshot(key) {
+  return cache.get(key) ?? null;
+}
+
+/**
+ * Read a snapshot (memory first, then IndexedDB).
+ *
+ * @param {string} key
+ * @returns {Promise<Snapshot | null>}
+ */
+export async function readSnapshot(key) {
+  if (cache.has(key)) return cache.get(key);
+
+  const record = await run('readonly', (store) => store.get(key));
+  if (record && !cache.has(key)) cache.set(key, record);
+  return cache.get(key) ?? null;
+}
+
+/**
+ * Write a snapshot.
+ *
+ * @param {Snapshot} snapshot
+ * @returns {Promise<void>}
+ */
+export async function writeSnapshot(snapshot) {
+  cache.set(snapshot.key, snapshot);
+  await run('readwrite', (store) => store.put(snapshot));
+}
+
+/**
+ * Delete a snapshot.
+ *
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export async function deleteSnapshot(key) {
+  cache.delete(key);
+  await run('readwrite', (store) => store.delete(key));
+}
+
+/**
+ * Delete every snapshot (e.g. on logout).
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearSnapshots() {
+  cache.clear();
+  await run('readwrite', (store) => store.clear());
+}
+
+// =============================================================================
+// Hydration
+// =============================================================================
+
+/**
+ * Turn a stored snapshot into data for the current schema version.
+ * Returns null when the snapshot is expired or can't be migrated.
+ *
+ * @param {Snapshot | null} snapshot
+ * @param {object} options
+ * @param {number} [options.version=1] - Current schema version
+ * @param {number} [options.maxAge] - Max snapshot age in ms
+ * @param {(data: any, fromVersion: number) => any} [options.migrate] - Upgrade older data;
+ *   return null to discard it
+ * @returns {{ data: any, seq: number | null, savedAt: number } | null}
+ */
+export function restoreSnapshot(snapshot, { version = 1, maxAge, migrate } = {}) {
+  if (!snapshot) return null;
+
+  if (maxAge && Date.now() - snapshot.savedAt > maxAge) {
+    deleteSnapshot(snapshot.key);
+    return null;
+  }
+
+  let { data } = snapshot;
+  let seq = snapshot.seq ?? null;
+
+  if (snapshot.version !== version) {
+    try {
+      data = migrate && snapshot.version < version ? migrate(data, snapshot.version) : null;
+    } catch (error) {
+      console.warn(`[Persist] Could not migrate ${snapshot.key} from version ${snapshot.version}:`, error);
+      data = null;
+    }
+    // Sequence numbers belong to the old data
+    seq = null;
+  }
+
+  if (data == null) {
+    deleteSnapshot(snapshot.key);
+    return null;
+  }
+
+  return { data, seq, savedAt: snapshot.savedAt };
+}
+
+/**
+ * Throttled snapshot writer: writes at most once per `interval`, reading
+ * the latest value at write time, and flushes when the page is hidden.
+ *
+ * @param {string} key
+ * @param {() => Omit<Snapshot, 'key' | 'savedAt'>} read - Current snapshot contents
+ * @param {number} [interval=1000]
+ * @returns {{ schedule: () => void, flush: () => void, cancel: () => void }}
+ */
+export function createSnapshotWriter(key, read, interval = 1000) {
+  let pending = false;
+  let timer = null;
+  let lastWrite = 0;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending) return;
+
+    pending = false;
+    lastWrite = Date.now();
+    writeSnapshot({ ...read(), key, savedAt: lastWrite });
+  }
+
+  const onPageHide = () => flush();
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', onPageHide);
+  }
+
+  return {
+    schedule() {
+      pending = true;
+      if (timer) return;
+      timer = setTimeout(flush, Math.max(0, interval - (Date.now() - lastWrite)));
+    },
+
+    flush,
+
+    cancel() {
+      clearTimeout(timer);
+      timer = null;
+      pending = false;
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('pagehide', onPageHide);
+      }
+    }
+  };
+}
@@ -5,9 +5,17 @@
  *
  * Features:
  * - Auto-syncing stores with server broadcasts
- * - Presence tracking (online users, typing indicators)
+ * - Presence tracking (sessions per user, aggregate status, typing indicators, idle detection)
+ * - Collaborative cursors and selections
  * - Optimistic update reconciliation
- * - Conflict resolution
+ * - Batch sync actions (upsert_many, remove_many, move, replace_where) applied as one update
+ * - Per-store sequence numbers with gap detection and snapshot resync
+ * - Conflict resolution between server updates and local pending edits
+ * - Live queries: filtered, sorted and grouped views updated incrementally
+ * - Opt-in IndexedDB persistence for a warm start (persist.js)
+ * - Opt-in mirroring of local changes to other tabs (tabs.js)
+ * - Opt-in normalized entity cache shared between stores (entities.js)
+ * - Stores scoped per LiveView and destroyed with it (scopes.js)
  *
  * Usage:
  *   import { createRealtimeStore, createPresenceStore } from '$lib/realtime';
@@ -16,19 +24,24 @@
  *   const users = createPresenceStore('room:lobby');
  */
 
-import { writable, derived, get } from 'svelte/store';
-import { getLiveSocket } from './liveview.js';
+import { writable, readable, derived, get } from 'svelte/store';
+import { handleServerEvent, pushEvent, pushEventAsync } from './liveview.js';
+import { GLOBAL_SCOPE, getStoreScope, findStores, acquireStoreScope, releaseStoreScope } from './scopes.js';
+import { peekSnapshot, readSnapshot, restoreSnapshot, createSnapshotWriter } from './persist.js';
+import { tabId, openTabChannel, whenLeader } from './tabs.js';
+import {
+  defineEntity,
+  isEntityDefined,
+  getEntity,
+  upsertEntities,
+  removeEntities,
+  listenEntities
+} from './entities.js';
 
 // =============================================================================
 // Real-time Store
 // =============================================================================
 
-/**
- * Registry of real-time stores for server sync
- * @type {Map<string, RealtimeStore>}
- */
-const realtimeStores = new Map();
-
 /**
  * Create a store that auto-syncs with server broadcasts.
  *
@@ -38,7 +51,29 @@ const realtimeStores = new Map();
  * @param {object} options
  * @param {(item: T) => string | number} [options.getId] - Function to get item ID
  * @param {(a: T, b: T) => number} [options.sort] - Sort function
- * @param {(existing: T, incoming: T) => T} [options.merge] - Merge function for conflicts
+ * @param {ConflictStrategy<T>} [options.merge=mergeStrategies.serverWins] - Resolves a
+ *   server update to an item with local pending edits (see mergeStrategies)
+ * @param {string | HTMLElement | object} [options.scope] - Scope id, element, hook or
+ *   useLiveTarget scope (default: the main LiveView). The store is destroyed with its view.
+ * @param {number} [options.seq] - Sequence number of `initialValue`. Without it the
+ *   first sequenced message sets the baseline.
+ * @param {number} [options.gapTimeout=1000] - How long to wait for a missing message
+ *   before requesting a snapshot
+ * @param {number} [options.maxBuffer=100] - Out-of-order messages to hold before
+ *   requesting a snapshot right away (and the most kept while it is on its way)
+ * @param {number} [options.resyncTimeout=10000] - How long to wait for the snapshot
+ *   before the store is marked `stale`
+ * @param {boolean | PersistOptions} [options.persist] - Keep the value in IndexedDB and
+ *   start from it on the next load (`syncStatus` is `stale` until the first server `set`;
+ *   sequenced messages wait for a snapshot to set the seq)
+ * @param {boolean | string} [options.crossTab] - Mirror local changes (optimistic items,
+ *   edits, reconcile/rollback) to the store with the same key in other tabs
+ *   (`true` uses the store name)
+ * @param {string} [options.entity] - Entity type: server versions of the items are kept
+ *   in the shared entity cache, so a record the server updates through any store of the
+ *   type is updated in all of them (local edits stay in their own store)
+ * @param {number} [options.optimisticTimeout=15000] - How long an optimistic item waits
+ *   for `store:reconcile`/`store:rollback` before it is marked `_failed` (0 disables)
  * @returns {RealtimeStore<T>}
  *
  * @example
@@ -48,15 +83,436 @@ const realtimeStores = new Map();
  * });
  *
  * // Server broadcasts automatically update the store:
- * // broadcast_store_sync(pubsub, topic, "messages", "append", message)
+ * // broadcast_store_sync(pubsub, topic, "messages", "append", message, seq: 42)
+ *
+ * // Sync state: 'live', 'resyncing' or 'stale'
+ * const { syncStatus } = messages;
+ * {#if $syncStatus === 'stale'}Out of date{/if}
+ *
+ * // Let the user decide when a server update clashes with a local edit
+ * const todos = createRealtimeStore('todos', [], { merge: mergeStrategies.prompt });
+ * const { conflicts } = todos;
+ * todos.resolveConflict(id, 'local');
+ *
+ * // Optimistic items not confirmed in time get `_failed` and `_error`
+ * todos.addOptimistic(tempId, todo, { retry: () => pushEvent('create', { ...todo, temp_id: tempId }) });
+ * todos.retry(tempId);   // or todos.discard(tempId)
+ *
+ * // Live query: only the open todos, newest first
+ * const open = todos.query({ where: { done: false }, sortBy: '-inserted_at' });
+ *
+ * // Warm start from IndexedDB
+ * const inbox = createRealtimeStore('inbox', [], { persist: { key: 'inbox', version: 2, maxAge: 86_400_000 } });
  */
 export function createRealtimeStore(name, initialValue = [], options = {}) {
   const getId = options.getId || ((item) => item.id);
   const sortFn = options.sort;
-  const mergeFn = options.merge || ((_, incoming) => incoming);
+  const mergeFn = options.merge || mergeStrategies.serverWins;
+  const { gapTimeout = 1000, maxBuffer = 100, resyncTimeout = 10000, optimisticTimeout = 15000 } = options;
 
   const store = writable(initialValue);
   const pendingOptimistic = new Map(); // temp_id -> original item
+  const optimisticEntries = new Map(); // temp_id -> { timeout, timer, retry }
+  const storeScope = getStoreScope(options.scope);
+
+  // Sequencing: last applied seq and out-of-order messages waiting for a gap to fill
+  const status = writable('live');
+  const buffered = new Map(); // seq -> { action, payload }
+  let lastSeq = options.seq ?? null;
+  let gapTimer = null;
+  let staleTimer = null;
+  let destroyed = false;
+
+  // Cross-tab: changes made while `silent` (server sync, remote tabs) aren't mirrored
+  let silent = 0;
+  let stopMirroring = null;
+  let stopSharing = null;
+  // Entity cache: server versions of items, shared with the type's other stores
+  let shareItems = null;
+
+  function quietly(fn) {
+    silent += 1;
+    try {
+      return fn();
+    } finally {
+      silent -= 1;
+    }
+  }
+
+  // Conflicts: local edits not yet confirmed by the server
+  const pendingEdits = new Map(); // id -> { base: last server item, fields: Set<string> }
+  const conflictList = writable([]);
+
+  // Live queries: item-level changes, emitted after the store value changes
+  const changeListeners = new Set();
+
+  function emit(change) {
+    changeListeners.forEach((listener) => listener(change));
+  }
+
+  // Optimistic entries: fail the item if the server doesn't answer in time
+  function armOptimistic(tempId) {
+    const entry = optimisticEntries.get(tempId);
+    clearTimeout(entry?.timer);
+    if (!entry || !(entry.timeout > 0)) return;
+
+    entry.timer = setTimeout(() => {
+      realtimeStore.fail(tempId, 'No response from the server');
+    }, entry.timeout);
+  }
+
+  function settleOptimistic(tempId) {
+    pendingOptimistic.delete(tempId);
+    clearTimeout(optimisticEntries.get(tempId)?.timer);
+    optimisticEntries.delete(tempId);
+  }
+
+  function restartOptimistic(tempId) {
+    patchOptimistic(tempId, { _failed: false, _error: null });
+    armOptimistic(tempId);
+  }
+
+  function patchOptimistic(tempId, changes) {
+    const previous = get(store).find((item) => item._tempId === tempId);
+    if (!previous) return;
+
+    const next = { ...previous, ...changes };
+    store.update((items) => items.map((item) => (item._tempId === tempId ? next : item)));
+    emit({ type: 'update', previous, item: next });
+  }
+
+  function replaceItem(id, item) {
+    const previous = get(store).find((existing) => getId(existing) === id);
+    store.update((items) => items.map((existing) => (getId(existing) === id ? item : existing)));
+    if (previous) emit({ type: 'update', previous, item });
+  }
+
+  function dropConflict(id) {
+    conflictList.update((list) => list.filter((conflict) => conflict.id !== id));
+  }
+
+  // Fields of `item` that differ from the server's `base` stay pending
+  function trackEdits(id, item, base) {
+    const fields = Object.keys(item).filter((field) => !sameValue(item[field], base[field]));
+    if (fields.length > 0) {
+      pendingEdits.set(id, { base, fields: new Set(fields) });
+    } else {
+      pendingEdits.delete(id);
+    }
+  }
+
+  /**
+   * Combine a server version of an item with the local one.
+   * Without pending edits the server version is taken as is.
+   */
+  function mergeIncoming(local, incoming) {
+    const id = getId(local);
+    const edits = pendingEdits.get(id);
+    if (!edits) return incoming;
+
+    // Fields the server now agrees with are confirmed
+    for (const field of edits.fields) {
+      if (sameValue(incoming[field], local[field])) edits.fields.delete(field);
+    }
+    if (edits.fields.size === 0) {
+      pendingEdits.delete(id);
+      dropConflict(id);
+      return incoming;
+    }
+
+    const dirty = Array.from(edits.fields);
+    let deferred = false;
+
+    const context = {
+      id,
+      store: name,
+      base: edits.base,
+      dirty,
+      // Dirty fields the server changed as well
+      fields: dirty.filter((field) => !sameValue(incoming[field], edits.base[field])),
+      defer() {
+        deferred = true;
+        return local;
+      }
+    };
+
+    const result = mergeFn(local, incoming, context);
+
+    if (deferred) {
+      conflictList.update((list) => [
+        ...list.filter((conflict) => conflict.id !== id),
+        { id, store: name, local, incoming, fields: context.fields }
+      ]);
+    } else {
+      dropConflict(id);
+    }
+
+    trackEdits(id, result, incoming);
+    return result;
+  }
+
+  function serverUpdate(id, changes) {
+    const local = get(store).find((item) => getId(item) === id);
+    if (!local) return;
+
+    // The server's view of the item: its last known version plus the changes
+    const base = pendingEdits.get(id)?.base ?? local;
+    const incoming = { ...base, ...changes };
+    replaceItem(id, mergeIncoming(local, incoming));
+    shareItems?.([incoming]);
+  }
+
+  // Batch actions: one store update, then one `reset` for live queries
+  function applyBatch(fn) {
+    store.update((items) => {
+      const result = fn(items);
+      return sortFn ? [...result].sort(sortFn) : result;
+    });
+    emit({ type: 'reset' });
+  }
+
+  function forget(ids) {
+    ids.forEach((id) => pendingEdits.delete(id));
+    conflictList.update((list) => list.filter((conflict) => !ids.has(conflict.id)));
+  }
+
+  // Replace items with the same id in place; add the others at `at`
+  function serverUpsertMany(incoming, at = 'end') {
+    const byId = new Map(incoming.map((item) => [getId(item), item]));
+
+    applyBatch((items) => {
+      const merged = items.map((local) => {
+        const id = getId(local);
+        if (!byId.has(id)) return local;
+        const item = mergeIncoming(local, byId.get(id));
+        byId.delete(id);
+        return item;
+      });
+
+      const added = Array.from(byId.values());
+      return at === 'start' ? [...added, ...merged] : [...merged, ...added];
+    });
+    shareItems?.(incoming);
+  }
+
+  function serverRemoveMany(ids) {
+    const removed = new Set(ids);
+    forget(removed);
+    applyBatch((items) => items.filter((item) => !removed.has(getId(item))));
+  }
+
+  // `{ id, to }` or `{ from, to }`; has no lasting effect on sorted stores
+  function serverMove({ id, from, to }) {
+    if (!Number.isInteger(to) || (id == null && !Number.isInteger(from))) {
+      console.warn(`Invalid move in ${name}: needs an integer "to" and an id or integer "from"`);
+      return;
+    }
+
+    applyBatch((items) => {
+      const index = id != null ? items.findIndex((item) => getId(item) === id) : from;
+      if (index < 0 || index >= items.length) return items;
+
+      const result = [...items];
+      const [item] = result.splice(index, 1);
+      result.splice(Math.max(0, Math.min(to, result.length)), 0, item);
+      return result;
+    });
+  }
+
+  // Swap the items matching `where` (field values) for `incoming`, at the
+  // position of the first replaced item
+  function serverReplaceWhere(where, incoming) {
+    const incomingIds = new Set(incoming.map(getId));
+    const replaced = (item) =>
+      incomingIds.has(getId(item)) ||
+      Object.entries(where).every(([field, value]) => sameValue(item[field], value));
+
+    applyBatch((items) => {
+      const current = new Map(items.filter(replaced).map((item) => [getId(item), item]));
+      forget(new Set(Array.from(current.keys()).filter((id) => !incomingIds.has(id))));
+
+      const replacement = incoming.map((item) => {
+        const local = current.get(getId(item));
+        return local ? mergeIncoming(local, item) : item;
+      });
+
+      const first = items.findIndex(replaced);
+      const at = first < 0 ? items.length : first;
+      return [...items.slice(0, at), ...replacement, ...items.slice(at).filter((item) => !replaced(item))];
+    });
+    shareItems?.(incoming);
+  }
+
+  function serverSet(data) {
+    receivedServerData = true;
+    clearTimeout(staleTimer);
+
+    const current = new Map(get(store).map((item) => [getId(item), item]));
+    const incomingIds = new Set(data.map(getId));
+
+    for (const id of pendingEdits.keys()) {
+      if (!incomingIds.has(id)) {
+        pendingEdits.delete(id);
+        dropConflict(id);
+      }
+    }
+
+    quietly(() =>
+      realtimeStore.set(
+        data.map((item) => {
+          const local = current.get(getId(item));
+          return local ? mergeIncoming(local, item) : item;
+        })
+      )
+    );
+    shareItems?.(data);
+
+    // A full value from the server replaces any cached or incomplete state
+    status.set('live');
+  }
+
+  // Persistence: hydrate from a snapshot, then write changes back
+  let receivedServerData = false;
+  let hydrated = false;
+  let snapshotWriter = null;
+  let stopWriting = null;
+
+  function setupPersistence({ key = name, version = 1, maxAge, migrate, throttle = 1000 }) {
+    function hydrate(snapshot) {
+      const restored = restoreSnapshot(snapshot, { version, maxAge, migrate });
+      // The snapshot may be missing messages sent while the page was
+      // closed, so its seq isn't trusted: the next server snapshot sets it
+      if (restored && !receivedServerData && !destroyed) {
+        quietly(() => realtimeStore.set(restored.data));
+        hydrated = true;
+        status.set('stale');
+      }
+
+      // Only write once hydration is settled, so the snapshot isn't
+      // overwritten by the initial value
+      if (destroyed) return;
+      snapshotWriter = createSnapshotWriter(
+        key,
+        () => ({ version, seq: lastSeq, data: get(store).filter((item) => !item._optimistic) }),
+        throttle
+      );
+
+      let initial = true;
+      stopWriting = store.subscribe(() => {
+        if (initial) return;
+        snapshotWriter.schedule();
+      });
+      initial = false;
+    }
+
+    const cached = peekSnapshot(key);
+    if (cached) {
+      hydrate(cached);
+    } else {
+      readSnapshot(key).then(hydrate);
+    }
+  }
+
+  // Every tab receives server sync itself, so it is never mirrored
+  function applySync(action, payload) {
+    quietly(() => applyAction(action, payload));
+  }
+
+  function applyAction(action, payload) {
+    switch (action) {
+      case 'set':
+        serverSet(payload.data);
+        break;
+      case 'append':
+        realtimeStore.append(payload.item);
+        shareItems?.([payload.item]);
+        break;
+      case 'prepend':
+        realtimeStore.prepend(payload.item);
+        shareItems?.([payload.item]);
+        break;
+      case 'update':
+        serverUpdate(payload.id, payload.changes);
+        break;
+      case 'remove':
+        realtimeStore.remove(payload.id);
+        break;
+      case 'upsert':
+        serverUpsertMany([payload.item]);
+        break;
+      case 'upsert_many':
+        serverUpsertMany(payload.items, payload.at);
+        break;
+      case 'remove_many':
+        serverRemoveMany(payload.ids);
+        break;
+      case 'move':
+        serverMove(payload);
+        break;
+      case 'replace_where':
+        serverReplaceWhere(payload.where, payload.items);
+        break;
+      default:
+        console.warn(`Unknown sync action: ${action}`);
+    }
+  }
+
+  function clearGapTimer() {
+    clearTimeout(gapTimer);
+    gapTimer = null;
+  }
+
+  // Apply buffered messages that now follow lastSeq; keep waiting on any remaining gap
+  function drainBuffer() {
+    while (buffered.has(lastSeq + 1)) {
+      const { action, payload } = buffered.get(lastSeq + 1);
+      buffered.delete(lastSeq + 1);
+      lastSeq += 1;
+      applySync(action, payload);
+    }
+
+    if (buffered.size === 0) {
+      clearGapTimer();
+    } else if (!gapTimer && get(status) !== 'resyncing') {
+      gapTimer = setTimeout(requestResync, gapTimeout);
+    }
+  }
+
+  function applySnapshot(data, seq) {
+    // Older than what we already have
+    if (lastSeq != null && seq < lastSeq && get(status) === 'live') return;
+
+    serverSet(data);
+    lastSeq = seq;
+    for (const pending of buffered.keys()) {
+      if (pending <= seq) buffered.delete(pending);
+    }
+    drainBuffer();
+  }
+
+  function requestResync() {
+    if (destroyed || get(status) === 'resyncing') return;
+
+    clearGapTimer();
+    status.set('resyncing');
+
+    // The snapshot may come as the reply or as a pushed `set` with a seq
+    staleTimer = setTimeout(() => status.set('stale'), resyncTimeout);
+
+    const target = storeScope.id === GLOBAL_SCOPE ? null : document.getElementById(storeScope.id);
+
+    pushEventAsync('realtime:resync', { store: name, seq: lastSeq }, { target, timeout: resyncTimeout })
+      .then((reply) => {
+        if (destroyed || reply?.data === undefined || reply.seq == null) return;
+        applySnapshot(reply.data, reply.seq);
+      })
+      .catch((error) => {
+        if (destroyed || get(status) !== 'resyncing') return;
+        console.warn(`Resync of realtime store ${name} failed:`, error);
+        clearTimeout(staleTimer);
+        status.set('stale');
+      });
+  }
 
   const realtimeStore = {
     subscribe: store.subscribe,
@@ -66,6 +522,7 @@ export function createRealtimeStore(name, initialValue = [], options = {}) {
      */
     set(value) {
       store.set(sortFn ? [...value].sort(sortFn) : value);
+      emit({ type: 'reset' });
     },
 
     /**
@@ -76,6 +533,7 @@ export function createRealtimeStore(name, initialValue = [], options = {}) {
         const result = fn(current);
         return sortFn ? [...result].sort(sortFn) : result;
       });
+      emit({ type: 'reset' });
     },
 
     /**
@@ -86,6 +544,7 @@ export function createRealtimeStore(name, initialValue = [], options = {}) {
         const result = [...items, item];
         return sortFn ? result.sort(sortFn) : result;
       });
+      emit({ type: 'insert', item, at: 'end' });
     },
 
     /**
@@ -96,81 +555,233 @@ export function createRealtimeStore(name, initialValue = [], options = {}) {
         const result = [item, ...items];
         return sortFn ? result.sort(sortFn) : result;
       });
+      emit({ type: 'insert', item, at: 'start' });
     },
 
     /**
-     * Update an item by ID
+     * Update an item by ID. The changed fields count as local pending
+     * edits until the server echoes them or clearEdits(id) is called.
      */
     updateItem(id, changes) {
-      store.update((items) =>
-        items.map((item) =>
-          getId(item) === id ? { ...item, ...changes } : item
-        )
-      );
+      const current = get(store).find((item) => getId(item) === id);
+      if (!current) return;
+
+      const edits = pendingEdits.get(id) ?? { base: current, fields: new Set() };
+      Object.keys(changes).forEach((field) => edits.fields.add(field));
+      pendingEdits.set(id, edits);
+
+      replaceItem(id, { ...current, ...changes });
+    },
+
+    /**
+     * Forget the local pending edits of an item (e.g. once saved)
+     */
+    clearEdits(id) {
+      pendingEdits.delete(id);
+      dropConflict(id);
+    },
+
+    /**
+     * Conflicts left for the user by the `prompt` strategy:
+     * `{ id, store, local, incoming, fields }`
+     */
+    conflicts: { subscribe: conflictList.subscribe },
+
+    /**
+     * Settle a conflict with 'local', 'server' or a merged item.
+     * Whatever still differs from the server version stays a pending edit.
+     */
+    resolveConflict(id, choice) {
+      const conflict = get(conflictList).find((entry) => entry.id === id);
+      if (!conflict) return;
+
+      const item = choice === 'local' ? conflict.local : choice === 'server' ? conflict.incoming : choice;
+      dropConflict(id);
+      trackEdits(id, item, conflict.incoming);
+      replaceItem(id, item);
     },
 
     /**
      * Remove an item by ID
      */
     remove(id) {
+      pendingEdits.delete(id);
+      dropConflict(id);
+
+      const previous = get(store).find((item) => getId(item) === id);
       store.update((items) => items.filter((item) => getId(item) !== id));
+      if (previous) emit({ type: 'remove', item: previous });
     },
 
     /**
-     * Add an optimistic item (with temp ID)
+     * Add an optimistic item (with temp ID). Without a reconcile or
+     * rollback within `timeout` ms it is marked `_failed`.
+     *
+     * @param {string} tempId
+     * @param {object} item
+     * @param {{ timeout?: number, retry?: () => void }} [entry] - TTL (default:
+     *   `optimisticTimeout`) and how to send the item again for retry()
      */
-    addOptimistic(tempId, item) {
+    addOptimistic(tempId, item, { timeout = optimisticTimeout, retry = null } = {}) {
       pendingOptimistic.set(tempId, item);
+      optimisticEntries.set(tempId, { timeout, timer: null, retry });
       this.append({ ...item, _optimistic: true, _tempId: tempId });
+      armOptimistic(tempId);
+    },
+
+    /**
+     * Mark an optimistic item as failed (also done when its TTL expires).
+     * It stays in the list with `_failed: true` and `_error` until
+     * retry(), discard(), or a late reconcile/rollback.
+     */
+    fail(tempId, reason = 'Failed') {
+      clearTimeout(optimisticEntries.get(tempId)?.timer);
+      patchOptimistic(tempId, { _failed: true, _error: reason });
+    },
+
+    /**
+     * Send a failed optimistic item again (with the `retry` given to
+     * addOptimistic) and wait for the server anew.
+     *
+     * @returns {boolean} Whether it was sent
+     */
+    retry(tempId) {
+      const entry = optimisticEntries.get(tempId);
+      if (!entry?.retry) {
+        console.warn(`[Realtime] Nothing to retry for ${tempId} in ${name}`);
+        return false;
+      }
+
+      restartOptimistic(tempId);
+      entry.retry();
+      return true;
+    },
+
+    /**
+     * Whether retry() can send the optimistic item again: only the tab
+     * that added it with a `retry` function can
+     */
+    canRetry(tempId) {
+      return Boolean(optimisticEntries.get(tempId)?.retry);
+    },
+
+    /**
+     * Drop an optimistic item (e.g. a failed one the user gave up on)
+     */
+    discard(tempId) {
+      realtimeStore.rollback(tempId);
     },
 
     /**
      * Reconcile optimistic update with server response
      */
     reconcile(tempId, realItem) {
-      pendingOptimistic.delete(tempId);
+      settleOptimistic(tempId);
+      shareItems?.([realItem]);
+
+      // The real item already arrived (e.g. by broadcast): drop the placeholder
+      if (get(store).some((item) => item._tempId !== tempId && getId(item) === getId(realItem))) {
+        realtimeStore.rollback(tempId);
+        return;
+      }
+
+      const previous = get(store).find((item) => item._tempId === tempId);
+      const next = { ...realItem, _optimistic: false };
       store.update((items) =>
         items.map((item) =>
           item._tempId === tempId
-            ? { ...realItem, _optimistic: false }
+            ? next
             : item
         )
       );
+      if (previous) emit({ type: 'update', previous, item: next });
     },
 
     /**
      * Rollback an optimistic update
      */
     rollback(tempId) {
-      pendingOptimistic.delete(tempId);
+      settleOptimistic(tempId);
+
+      const previous = get(store).find((item) => item._tempId === tempId);
       store.update((items) =>
         items.filter((item) => item._tempId !== tempId)
       );
+      if (previous) emit({ type: 'remove', item: previous });
     },
 
     /**
-     * Handle server sync event
+     * Sync state: 'live', 'resyncing' (snapshot requested) or 'stale'
+     * (the snapshot did not arrive; updates may be missing)
      */
-    handleSync(action, payload) {
-      switch (action) {
-        case 'set':
-          this.set(payload.data);
-          break;
-        case 'append':
-          this.append(payload.item);
-          break;
-        case 'prepend':
-          this.prepend(payload.item);
-          break;
-        case 'update':
-          this.updateItem(payload.id, payload.changes);
-          break;
-        case 'remove':
-          this.remove(payload.id);
-          break;
-        default:
-          console.warn(`Unknown sync action: ${action}`);
+    syncStatus: { subscribe: status.subscribe },
+
+    /**
+     * Handle server sync event.
+     *
+     * With a `seq`, messages are applied in sequence order: duplicates are
+     * dropped, early messages wait for the gap to fill, and a gap that
+     * stays open requests a snapshot. A `set` with a seq is a snapshot.
+     */
+    handleSync(action, payload, seq = null) {
+      if (seq == null) {
+        applySync(action, payload);
+        return;
+      }
+
+      if (action === 'set') {
+        applySnapshot(payload.data, seq);
+        return;
+      }
+
+      // Hydrated items wait for a snapshot to set the baseline
+      if (lastSeq == null && hydrated && !receivedServerData) {
+        buffered.set(seq, { action, payload });
+        while (buffered.size > maxBuffer) buffered.delete(Math.min(...buffered.keys()));
+        if (!gapTimer && get(status) !== 'resyncing') gapTimer = setTimeout(requestResync, gapTimeout);
+        return;
       }
+
+      // First sequenced message sets the baseline
+      if (lastSeq == null) {
+        lastSeq = seq;
+        applySync(action, payload);
+        return;
+      }
+
+      // Duplicate delivery
+      if (seq <= lastSeq || buffered.has(seq)) return;
+
+      if (seq === lastSeq + 1) {
+        lastSeq = seq;
+        applySync(action, payload);
+        drainBuffer();
+        return;
+      }
+
+      buffered.set(seq, { action, payload });
+      if (buffered.size <= maxBuffer) {
+        drainBuffer();
+      } else if (get(status) === 'resyncing') {
+        // The snapshot supersedes the oldest messages: keep the newest maxBuffer
+        while (buffered.size > maxBuffer) buffered.delete(Math.min(...buffered.keys()));
+      } else {
+        requestResync();
+      }
+    },
+
+    /**
+     * Request a full snapshot from the server (`realtime:resync`)
+     */
+    resync() {
+      requestResync();
+    },
+
+    /**
+     * Last applied sequence number (null before the first sequenced message)
+     */
+    getSeq() {
+      return lastSeq;
     },
 
     /**
@@ -179,9 +790,10 @@ export function createRealtimeStore(name, initialValue = [], options = {}) {
     handleReconcile(tempId, item) {
       if (pendingOptimistic.has(tempId)) {
         this.reconcile(tempId, item);
-      } else {
-        // Item came from another client, just append
+      } else if (!this.find(getId(item))) {
+        // Item came from another client (or tab), just append
         this.append(item);
+        shareItems?.([item]);
       }
     },
 
@@ -199,26 +811,364 @@ export function createRealtimeStore(name, initialValue = [], options = {}) {
       return get(store).find((item) => getId(item) === id);
     },
 
+    /**
+     * Live view over the store: a readable of the matching items (or of
+     * `{ [group]: items }` with groupBy) that follows appends, updates and
+     * removals without re-filtering or re-sorting the whole list.
+     *
+     * @param {LiveQueryOptions<T>} [query]
+     * @returns {LiveQuery<T>}
+     */
+    query(query = {}) {
+      return createLiveQuery(realtimeStore, query, {
+        getId,
+        defaultSort: sortFn,
+        listen(listener) {
+          changeListeners.add(listener);
+          return () => changeListeners.delete(listener);
+        }
+      });
+    },
+
     /**
      * Cleanup
      */
     destroy() {
-      realtimeStores.delete(name);
+      destroyed = true;
+      unregister();
       pendingOptimistic.clear();
+      optimisticEntries.forEach((entry) => clearTimeout(entry.timer));
+      optimisticEntries.clear();
+      pendingEdits.clear();
+      changeListeners.clear();
+      buffered.clear();
+      clearGapTimer();
+      clearTimeout(staleTimer);
+      stopWriting?.();
+      snapshotWriter?.flush();
+      snapshotWriter?.cancel();
+      stopMirroring?.();
+      stopSharing?.();
     }
   };
 
+  function setupEntities(type) {
+    if (options.getId && !isEntityDefined(type)) defineEntity(type, { getId });
+
+    // Only server data goes to the cache: local edits stay pending in this
+    // store instead of reaching the others as if the server had sent them
+    let sharing = false;
+    shareItems = (items) => {
+      sharing = true;
+      try {
+        upsertEntities(type, items.filter((item) => getEntity(type, getId(item)) !== item));
+      } finally {
+        sharing = false;
+      }
+    };
+
+    // The initial items (e.g. from the LiveView's props) come from the server too
+    shareItems(get(store).filter((item) => !item._optimistic));
+
+    // Server versions from other stores (and entity:sync) merge with local edits,
+    // in one store update per change, however many entities it carries
+    const unlisten = listenEntities(type, ({ upserted, removed }) => {
+      if (destroyed || sharing) return;
+
+      const byId = new Map(upserted.map((entity) => [getId(entity), entity]));
+      const gone = new Set(removed);
+      const changed = (item) => gone.has(getId(item)) || (byId.has(getId(item)) && byId.get(getId(item)) !== item);
+      if (!get(store).some(changed)) return;
+
+      if (gone.size > 0) forget(gone);
+      applyBatch((items) =>
+        items
+          .filter((item) => !gone.has(getId(item)))
+          .map((item) => (changed(item) ? mergeIncoming(item, byId.get(getId(item))) : item))
+      );
+    });
+
+    stopSharing = () => {
+      shareItems = null;
+      unlisten();
+    };
+  }
+
+  function setupCrossTab(key) {
+    const channel = openTabChannel(`realtime:${key}`);
+
+    // Wrap the local operations so each call is posted to the other tabs
+    // (calls nested inside them, e.g. append from addOptimistic, are not)
+    for (const op of MIRRORED_OPS) {
+      const original = realtimeStore[op];
+      realtimeStore[op] = (...args) => {
+        if (silent === 0) channel.post({ op, args: clonable(op, args) });
+        return quietly(() => original.apply(realtimeStore, args));
+      };
+    }
+
+    // update(fn) can't be cloned; send the resulting value instead
+    const update = realtimeStore.update;
+    realtimeStore.update = (fn) => {
+      const mirror = silent === 0;
+      quietly(() => update(fn));
+      if (mirror) channel.post({ op: 'set', args: [get(store)] });
+    };
+
+    // retry sends from this tab only; the other tabs clear `_failed` and
+    // wait for the server anew
+    const retry = realtimeStore.retry;
+    realtimeStore.retry = (tempId) => {
+      const sent = quietly(() => retry.call(realtimeStore, tempId));
+      if (sent && silent === 0) channel.post({ op: 'retry', args: [tempId] });
+      return sent;
+    };
+
+    stopMirroring = channel.subscribe(({ op, args }) => {
+      if (destroyed) return;
+      if (op === 'retry') {
+        quietly(() => restartOptimistic(args[0]));
+      } else if (MIRRORED_OPS.includes(op)) {
+        quietly(() => realtimeStore[op](...args));
+      }
+    });
+  }
+
   // Register for server sync
-  realtimeStores.set(name, realtimeStore);
+  const unregister = storeScope.register('realtime', name, realtimeStore);
+
+  if (options.entity) {
+    setupEntities(options.entity);
+  }
+
+  if (options.crossTab) {
+    setupCrossTab(options.crossTab === true ? name : options.crossTab);
+  }
+
+  if (options.persist) {
+    setupPersistence(options.persist === true ? {} : options.persist);
+  }
 
   return realtimeStore;
 }
 
 /**
- * Get a registered realtime store by name
+ * Local operations mirrored to other tabs by the `crossTab` option
  */
-export function getRealtimeStore(name) {
-  return realtimeStores.get(name);
+const MIRRORED_OPS = [
+  'set',
+  'append',
+  'prepend',
+  'updateItem',
+  'remove',
+  'addOptimistic',
+  'reconcile',
+  'rollback',
+  'handleReconcile',
+  'fail',
+  'discard'
+];
+
+// addOptimistic's retry function stays in the tab that can send it
+function clonable(op, args) {
+  if (op !== 'addOptimistic' || !args[2]) return args;
+  return [args[0], args[1], { timeout: args[2].timeout }];
+}
+
+/**
+ * @typedef {object} PersistOptions
+ * @property {string} [key] - IndexedDB record key (default: store name)
+ * @property {number} [version=1] - Schema version of the stored items
+ * @property {number} [maxAge] - Ignore snapshots older than this (ms)
+ * @property {(data: any, fromVersion: number) => any} [migrate] - Upgrade a snapshot from an
+ *   older version; return null to discard it
+ * @property {number} [throttle=1000] - Minimum ms between writes
+ */
+
+// =============================================================================
+// Live Queries
+// =============================================================================
+
+/**
+ * @template T
+ * @typedef {object} LiveQueryOptions
+ * @property {((item: T) => boolean) | Partial<T>} [where] - Predicate, or field values to match
+ * @property {string | ((a: T, b: T) => number)} [sortBy] - Field (`-field` for descending)
+ *   or comparator. Defaults to the store's `sort`, else store order.
+ * @property {string | ((item: T) => any)} [groupBy] - Field or key function
+ * @property {number} [limit] - Max items (per group with groupBy)
+ */
+
+/**
+ * @template T
+ * @typedef {import('svelte/store').Readable<T[] | Object<string, T[]>> & { source: RealtimeStore<T> }} LiveQuery
+ */
+
+function compileQuery({ where, sortBy, groupBy }) {
+  let match = () => true;
+  if (typeof where === 'function') {
+    match = where;
+  } else if (where) {
+    const entries = Object.entries(where);
+    match = (item) => entries.every(([field, value]) => item[field] === value);
+  }
+
+  let compare = null;
+  if (typeof sortBy === 'function') {
+    compare = sortBy;
+  } else if (sortBy) {
+    const descending = sortBy.startsWith('-');
+    const field = descending ? sortBy.slice(1) : sortBy;
+    compare = (a, b) => {
+      const order = a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0;
+      return descending ? -order : order;
+    };
+  }
+
+  let groupOf = null;
+  if (typeof groupBy === 'function') {
+    groupOf = groupBy;
+  } else if (groupBy) {
+    groupOf = (item) => item[groupBy];
+  }
+
+  return { match, compare, groupOf };
+}
+
+// Index after the last item that sorts before or equal to `item`
+function sortedIndex(rows, item, compare) {
+  let low = 0;
+  let high = rows.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (compare(rows[mid], item) <= 0) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+function createLiveQuery(source, query, { getId, defaultSort, listen }) {
+  const { match, compare: querySort, groupOf } = compileQuery(query);
+  const compare = querySort ?? defaultSort ?? null;
+  const limit = query.limit ?? Infinity;
+  const keyOf = (item) => (groupOf ? groupOf(item) : null);
+
+  // Optimistic placeholders have no id yet: match them by temp id
+  function sameRow(row, item) {
+    if (row === item) return true;
+    if (row._tempId != null || item._tempId != null) return row._tempId === item._tempId;
+    const id = getId(item);
+    return id != null && getId(row) === id;
+  }
+
+  const results = readable(groupOf ? {} : [], (set) => {
+    /** @type {Map<any, any[]>} group key -> matching items in order */
+    let groups = new Map();
+
+    const limited = (rows) => (rows.length > limit ? rows.slice(0, limit) : rows);
+
+    function publish() {
+      if (groupOf) {
+        set(Object.fromEntries(Array.from(groups, ([key, rows]) => [key, limited(rows)])));
+      } else {
+        set(limited(groups.get(null) ?? []));
+      }
+    }
+
+    function recompute() {
+      groups = new Map();
+      for (const item of source.get()) {
+        if (!match(item)) continue;
+        const key = keyOf(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+      }
+      if (compare) groups.forEach((rows) => rows.sort(compare));
+      publish();
+    }
+
+    // Returns false when the position can't be known without the whole list
+    function insert(item, at) {
+      const key = keyOf(item);
+      const rows = groups.get(key) ?? [];
+
+      let index;
+      if (compare) index = sortedIndex(rows, item, compare);
+      else if (at === 'start') index = 0;
+      else if (at === 'end') index = rows.length;
+      else return false;
+
+      groups.set(key, [...rows.slice(0, index), item, ...rows.slice(index)]);
+      return true;
+    }
+
+    function remove(item) {
+      const key = keyOf(item);
+      const rows = groups.get(key) ?? [];
+      const index = rows.findIndex((row) => sameRow(row, item));
+      if (index === -1) return;
+
+      const next = [...rows.slice(0, index), ...rows.slice(index + 1)];
+      if (next.length > 0) groups.set(key, next);
+      else groups.delete(key);
+    }
+
+    function update(previous, item) {
+      const matched = match(previous);
+      const matches = match(item);
+      if (!matched && !matches) return;
+
+      // Unsorted and staying in its group: keep the position
+      if (!compare && matched && matches && keyOf(previous) === keyOf(item)) {
+        const rows = groups.get(keyOf(item)) ?? [];
+        groups.set(keyOf(item), rows.map((row) => (sameRow(row, previous) ? item : row)));
+        publish();
+        return;
+      }
+
+      if (matched) remove(previous);
+      if (matches && !insert(item, null)) {
+        recompute();
+        return;
+      }
+      publish();
+    }
+
+    recompute();
+
+    return listen((change) => {
+      switch (change.type) {
+        case 'insert':
+          if (!match(change.item)) return;
+          if (insert(change.item, change.at)) publish();
+          else recompute();
+          break;
+        case 'update':
+          update(change.previous, change.item);
+          break;
+        case 'remove':
+          if (!match(change.item)) return;
+          remove(change.item);
+          publish();
+          break;
+        default:
+          recompute();
+      }
+    });
+  });
+
+  return { subscribe: results.subscribe, source };
+}
+
+/**
+ * Get a registered realtime store by name (the first one, if several
+ * components share the name)
+ *
+ * @param {string} name - Store name
+ * @param {string | HTMLElement | object} [scope] - Scope (default: the main LiveView)
+ */
+export function getRealtimeStore(name, scope = null) {
+  return findStores('realtime', name, getStoreScope(scope))?.stores[0];
 }
 
 // =============================================================================
@@ -226,15 +1176,48 @@ export function getRealtimeStore(name) {
 // =============================================================================
 
 /**
- * Presence state for a topic
- * @type {Map<string, import('svelte/store').Writable>}
+ * Connections of a user from a presence payload: its `metas` (one per
+ * tab or device), or the user itself for a flat `{ id, ...meta }` entry
  */
-const presenceStores = new Map();
+function sessionsOf(user) {
+  return Array.isArray(user.metas) ? user.metas : [user];
+}
+
+// Phoenix Presence gives every tracked connection its own phx_ref
+function sessionKey(meta) {
+  return meta.phx_ref ?? meta.session ?? 'default';
+}
+
+/**
+ * Default aggregate status of a user over their sessions: `busy` if any
+ * session is busy, else `online` if any is online, else `away`. Sessions
+ * without a `status` count as online.
+ *
+ * @param {object[]} metas - The user's sessions
+ * @returns {string}
+ */
+export function aggregatePresenceStatus(metas) {
+  const statuses = metas.map((meta) => meta.status || 'online');
+  if (statuses.includes('busy')) return 'busy';
+  if (statuses.includes('online')) return 'online';
+  if (statuses.includes('away')) return 'away';
+  return statuses[0] ?? 'offline';
+}
 
 /**
  * Create a presence store for tracking online users.
  *
+ * Each user keeps one meta per session (tab or device), as Phoenix
+ * Presence does. Users are exposed with the first session's fields plus
+ * `metas`, `sessions` (count), `status` (aggregated over the sessions)
+ * and `typing` (true if any session is typing). A user goes offline when
+ * their last session leaves.
+ *
  * @param {string} topic - Presence topic
+ * @param {object} [options]
+ * @param {string | HTMLElement | object} [options.scope] - Store scope (see createRealtimeStore)
+ * @param {(metas: object[]) => string} [options.aggregate] - Combine session statuses
+ *   (default: aggregatePresenceStatus)
  * @returns {PresenceStore}
  *
  * @example
@@ -251,8 +1234,30 @@ const presenceStores = new Map();
  *   {$presence.typingUsers.map(u => u.name).join(', ')} typing...
  * {/if}
  */
-export function createPresenceStore(topic) {
-  const users = writable([]);
+export function createPresenceStore(topic, options = {}) {
+  const { aggregate = aggregatePresenceStatus } = options;
+
+  /** @type {import('svelte/store').Writable<Map<string | number, object[]>>} user id -> metas */
+  const sessions = writable(new Map());
+
+  const users = derived(sessions, ($sessions) =>
+    Array.from($sessions, ([id, metas]) => ({
+      ...metas[0],
+      id,
+      metas,
+      sessions: metas.length,
+      status: aggregate(metas),
+      typing: metas.some((meta) => meta.typing)
+    }))
+  );
+
+  function updateSessions(fn) {
+    sessions.update((current) => {
+      const next = new Map(current);
+      fn(next);
+      return next;
+    });
+  }
 
   const presenceStore = {
     subscribe: users.subscribe,
@@ -274,46 +1279,74 @@ export function createPresenceStore(topic) {
      */
     count: derived(users, ($users) => $users.length),
 
+    /**
+     * Derived store of users grouped by aggregate status
+     * (`{ online: [], away: [], busy: [] }`, plus any custom status)
+     */
+    byStatus: derived(users, ($users) =>
+      $users.reduce(
+        (groups, user) => ({ ...groups, [user.status]: [...(groups[user.status] ?? []), user] }),
+        { online: [], away: [], busy: [] }
+      )
+    ),
+
     /**
      * Update users list from server
      */
     sync(userList) {
-      users.set(userList);
+      sessions.set(new Map(userList.map((user) => [user.id, sessionsOf(user)])));
     },
 
     /**
-     * Handle user join
+     * Handle user join. A new session of a present user is added to it.
      */
     join(user) {
-      users.update((list) => {
-        if (list.find((u) => u.id === user.id)) {
-          return list; // Already present
-        }
-        return [...list, user];
+      updateSessions((next) => {
+        const joined = sessionsOf(user);
+        const joinedKeys = joined.map(sessionKey);
+        const kept = (next.get(user.id) ?? []).filter((meta) => !joinedKeys.includes(sessionKey(meta)));
+        next.set(user.id, [...kept, ...joined]);
       });
     },
 
     /**
-     * Handle user leave
+     * Handle user leave. With `ref` (phx_ref) only that session leaves.
      */
-    leave(userId) {
-      users.update((list) => list.filter((u) => u.id !== userId));
+    leave(userId, ref = null) {
+      updateSessions((next) => {
+        const remaining = ref == null ? [] : (next.get(userId) ?? []).filter((meta) => sessionKey(meta) !== ref);
+        if (remaining.length > 0) next.set(userId, remaining);
+        else next.delete(userId);
+      });
     },
 
     /**
-     * Update user metadata (e.g., typing status)
+     * Update user metadata (e.g., typing status) of one session (`ref`)
+     * or of all of them
      */
-    updateUser(userId, meta) {
-      users.update((list) =>
-        list.map((u) => (u.id === userId ? { ...u, ...meta } : u))
-      );
+    updateUser(userId, meta, ref = null) {
+      updateSessions((next) => {
+        const metas = next.get(userId);
+        if (!metas) return;
+        next.set(
+          userId,
+          metas.map((existing) => (ref == null || sessionKey(existing) === ref ? { ...existing, ...meta } : existing))
+        );
+      });
     },
 
     /**
      * Check if user is online
      */
     isOnline(userId) {
-      return get(users).some((u) => u.id === userId);
+      return get(sessions).has(userId);
+    },
+
+    /**
+     * Store of one user's aggregate status ('offline' when not present)
+     */
+    statusOf(userId) {
+      return derived(users, ($users) => $users.find((u) => u.id === userId)?.status ?? 'offline');
     },
 
     /**
@@ -327,20 +1360,256 @@ export function createPresenceStore(topic) {
      * Cleanup
      */
     destroy() {
-      presenceStores.delete(topic);
+      unregister();
     }
   };
 
-  presenceStores.set(topic, presenceStore);
+  const unregister = getStoreScope(options.scope).register('presence', topic, presenceStore);
 
   return presenceStore;
 }
 
 /**
  * Get a registered presence store by topic
+ *
+ * @param {string} topic - Presence topic
+ * @param {string | HTMLElement | object} [scope] - Scope (default: the main LiveView)
  */
-export function getPresenceStore(topic) {
-  return presenceStores.get(topic);
+export function getPresenceStore(topic, scope = null) {
+  return findStores('presence', topic, getStoreScope(scope))?.stores[0];
+}
+
+// =============================================================================
+// Collaborative Cursors
+// =============================================================================
+
+// Design token colors for users without a `color` in their presence meta
+const CURSOR_COLORS = [
+  'var(--color-primary)',
+  'var(--color-info)',
+  'var(--color-success)',
+  'var(--color-warning)',
+  'var(--color-error)',
+  'var(--color-secondary)'
+];
+
+function cursorColor(userId) {
+  const hash = Array.from(String(userId)).reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+  return CURSOR_COLORS[hash % CURSOR_COLORS.length];
+}
+
+/**
+ * @typedef {object} RemoteCursor
+ * @property {string} key - `<user_id>:<session>`
+ * @property {string | number} userId
+ * @property {string | null} session - Tab id of the sender
+ * @property {number | null} x - 0..1 across the container (null: pointer outside it)
+ * @property {number | null} y - 0..1 down the container
+ * @property {any} selection - What the user selected, e.g. `{ record: 42, field: 'title' }`
+ * @property {string} name - From presence metadata (`name`/`user_name`)
+ * @property {string} color - From presence metadata, or a token color per user
+ * @property {number} updatedAt
+ */
+
+/**
+ * Create a store of the pointers and selections of other users on a
+ * shared screen. Local moves are pushed as `cursor:move`, throttled and
+ * with coordinates relative to the container, so they line up across
+ * window sizes. Remote cursors arrive as `cursor:update` through the
+ * PresenceSync hook and expire after `ttl` ms without an update; the
+ * leader tab (see tabs.js) re-sends its idle pointer every `heartbeat` ms
+ * to stay visible.
+ *
+ * @param {string} topic - Topic relayed by the server (see `broadcast_cursor/4`)
+ * @param {object} [options]
+ * @param {PresenceStore} [options.presence] - Presence store for names and colors
+ * @param {number} [options.throttle=50] - Min ms between pushes
+ * @param {number} [options.ttl=15000] - Drop remote cursors not updated for this long
+ * @param {number} [options.heartbeat=5000] - Re-send an idle local cursor this often from
+ *   the leader tab (0 disables)
+ * @param {HTMLElement | object} [options.target] - Push target (see pushEvent)
+ * @param {string | HTMLElement | object} [options.scope] - Store scope (see createRealtimeStore)
+ * @returns {CursorStore}
+ *
+ * @example
+ * const presence = createPresenceStore('doc:42');
+ * const cursors = createCursorStore('doc:42', { presence });
+ *
+ * onMount(() => cursors.attach(canvas));
+ *
+ * <input on:focus={() => cursors.select({ record: 42, field: 'title' })} on:blur={() => cursors.select(null)} />
+ * {#each $cursors as cursor (cursor.key)} ... {/each}
+ */
+export function createCursorStore(topic, options = {}) {
+  const { presence = null, throttle = 50, ttl = 15_000, heartbeat = 5000, target = null } = options;
+
+  /** @type {import('svelte/store').Writable<Map<string, object>>} */
+  const remote = writable(new Map());
+  const local = { x: null, y: null, selection: null };
+
+  let container = null;
+  let detach = null;
+  let sendTimer = null;
+  let lastSent = 0;
+  let expireTimer = null;
+
+  function flush() {
+    sendTimer = null;
+    lastSent = Date.now();
+    // Moves are only worth sending live, never from the offline queue
+    pushEvent('cursor:move', { topic, session: tabId, ...local }, target, { queue: false });
+  }
+
+  // Trailing throttle: the latest position is always sent
+  function schedule() {
+    if (sendTimer) return;
+    sendTimer = setTimeout(flush, Math.max(0, throttle - (Date.now() - lastSent)));
+  }
+
+  const stopHeartbeat =
+    heartbeat > 0
+      ? whenLeader(() => {
+          const interval = setInterval(() => {
+            const visible = local.x != null || local.selection != null;
+            if (visible && Date.now() - lastSent >= heartbeat) schedule();
+          }, heartbeat);
+          return () => clearInterval(interval);
+        })
+      : null;
+
+  function expire() {
+    const cutoff = Date.now() - ttl;
+    remote.update((current) => new Map(Array.from(current).filter(([, cursor]) => cursor.updatedAt >= cutoff)));
+    if (get(remote).size === 0) {
+      clearInterval(expireTimer);
+      expireTimer = null;
+    }
+  }
+
+  const users = presence ?? readable([]);
+  const cursors = derived([remote, users], ([$remote, $users]) =>
+    Array.from($remote.values()).map((cursor) => {
+      // Presence keys are strings; user ids in payloads may not be
+      const user = $users.find((u) => String(u.id) === String(cursor.userId));
+      return {
+        ...cursor,
+        name: user?.name ?? user?.user_name ?? String(cursor.userId),
+        color: user?.color ?? cursorColor(cursor.userId)
+      };
+    })
+  );
+
+  const cursorStore = {
+    subscribe: cursors.subscribe,
+
+    /**
+     * Move the local pointer (0..1 in both directions; null hides it)
+     */
+    move(x, y) {
+      local.x = x == null ? null : Math.min(1, Math.max(0, x));
+      local.y = y == null ? null : Math.min(1, Math.max(0, y));
+      schedule();
+    },
+
+    /**
+     * Move the local pointer from a pointer event over the container
+     */
+    pointer(event) {
+      const rect = container?.getBoundingClientRect();
+      if (!rect || rect.width === 0 || rect.height === 0) return;
+      cursorStore.move((event.clientX - rect.left) / rect.width, (event.clientY - rect.top) / rect.height);
+    },
+
+    /**
+     * Share the local selection (any JSON value; null clears it)
+     */
+    select(selection) {
+      local.selection = selection ?? null;
+      schedule();
+    },
+
+    /**
+     * Track the pointer over an element; coordinates are relative to it
+     * @returns {() => void} Detach
+     */
+    attach(element) {
+      detach?.();
+      container = element;
+
+      const onMove = (event) => cursorStore.pointer(event);
+      const onLeave = () => cursorStore.move(null, null);
+      element.addEventListener('pointermove', onMove, { passive: true });
+      element.addEventListener('pointerleave', onLeave);
+
+      detach = () => {
+        element.removeEventListener('pointermove', onMove);
+        element.removeEventListener('pointerleave', onLeave);
+        if (container === element) container = null;
+        detach = null;
+      };
+      return detach;
+    },
+
+    /**
+     * Hide the local pointer and selection for everyone
+     */
+    hide() {
+      local.x = null;
+      local.y = null;
+      local.selection = null;
+      schedule();
+    },
+
+    /**
+     * Store of the remote cursors whose selection equals `selection`
+     */
+    selectedBy(selection) {
+      return derived(cursors, ($cursors) => $cursors.filter((cursor) => sameValue(cursor.selection, selection)));
+    },
+
+    /**
+     * Handle a relayed cursor from the server
+     */
+    handleUpdate({ user_id, session = null, x = null, y = null, selection = null }) {
+      const key = `${user_id}:${session}`;
+      remote.update((current) =>
+        new Map(current).set(key, { key, userId: user_id, session, x, y, selection, updatedAt: Date.now() })
+      );
+      expireTimer ??= setInterval(expire, Math.max(1000, ttl / 2));
+    },
+
+    /**
+     * Remove the cursors of a user (or of one of their sessions). Ids are
+     * compared as strings: Presence keys are strings, relayed ids may not be.
+     */
+    handleLeave({ user_id, session = null }) {
+      remote.update(
+        (current) =>
+          new Map(
+            Array.from(current).filter(
+              ([, cursor]) =>
+                String(cursor.userId) !== String(user_id) || (session != null && cursor.session !== session)
+            )
+          )
+      );
+    },
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+      detach?.();
+      clearTimeout(sendTimer);
+      stopHeartbeat?.();
+      clearInterval(expireTimer);
+      expireTimer = null;
+      unregister();
+    }
+  };
+
+  const unregister = getStoreScope(options.scope).register('cursor', topic, cursorStore);
+
+  return cursorStore;
 }
 
 // =============================================================================
@@ -365,76 +1634,93 @@ export function initRealtimeHooks() {
   return {
     /**
      * Real-time store sync hook
+     *
+     * Delivers to the stores in this hook's LiveView scope and destroys
+     * them when the view goes away.
      */
     RealtimeSync: {
       mounted() {
+        this.storeScope = acquireStoreScope(this);
+        const storesFor = (name) => findStores('realtime', name, this.storeScope)?.stores ?? [];
+
         // Handle store sync events
-        this.handleEvent('store:sync', ({ store, action, payload }) => {
-          const realtimeStore = getRealtimeStore(store);
-          if (realtimeStore) {
-            realtimeStore.handleSync(action, payload);
+        handleServerEvent(this, 'store:sync', ({ store, action, payload, seq }) => {
+          const stores = storesFor(store);
+          if (stores.length > 0) {
+            stores.forEach((realtimeStore) => realtimeStore.handleSync(action, payload, seq));
           } else {
             console.warn(`Realtime store not found: ${store}`);
           }
         });
 
+        // Handle entity cache updates (stores created with `entity`)
+        handleServerEvent(this, 'entity:sync', ({ type, action, data }) => {
+          if (action === 'remove') removeEntities(type, data);
+          else upsertEntities(type, data);
+        });
+
         // Handle optimistic reconciliation
-        this.handleEvent('store:reconcile', ({ store, temp_id, item }) => {
-          const realtimeStore = getRealtimeStore(store);
-          if (realtimeStore) {
-            realtimeStore.handleReconcile(temp_id, item);
-          }
+        handleServerEvent(this, 'store:reconcile', ({ store, temp_id, item }) => {
+          storesFor(store).forEach((realtimeStore) => realtimeStore.handleReconcile(temp_id, item));
         });
 
         // Handle optimistic rollback
-        this.handleEvent('store:rollback', ({ store, temp_id, reason }) => {
-          const realtimeStore = getRealtimeStore(store);
-          if (realtimeStore) {
-            realtimeStore.rollback(temp_id);
-            if (reason) {
-              console.warn(`Optimistic update rolled back: ${reason}`);
-            }
+        handleServerEvent(this, 'store:rollback', ({ store, temp_id, reason }) => {
+          const stores = storesFor(store);
+          stores.forEach((realtimeStore) => realtimeStore.rollback(temp_id));
+          if (stores.length > 0 && reason) {
+            console.warn(`Optimistic update rolled back: ${reason}`);
           }
         });
+      },
+
+      destroyed() {
+        releaseStoreScope(this);
       }
     },
 
     /**
-     * Presence sync hook
+     * Presence sync hook (also delivers relayed cursors)
      */
     PresenceSync: {
       mounted() {
+        this.storeScope = acquireStoreScope(this);
+        const storesFor = (topic) => findStores('presence', topic, this.storeScope)?.stores ?? [];
+
         // Handle full presence sync
-        this.handleEvent('presence:sync', ({ topic, users }) => {
-          const presenceStore = getPresenceStore(topic);
-          if (presenceStore) {
-            presenceStore.sync(users);
-          }
+        handleServerEvent(this, 'presence:sync', ({ topic, users }) => {
+          storesFor(topic).forEach((presenceStore) => presenceStore.sync(users));
         });
 
         // Handle presence join
-        this.handleEvent('presence:join', ({ topic, user }) => {
-          const presenceStore = getPresenceStore(topic);
-          if (presenceStore) {
-            presenceStore.join(user);
-          }
+        handleServerEvent(this, 'presence:join', ({ topic, user }) => {
+          storesFor(topic).forEach((presenceStore) => presenceStore.join(user));
         });
 
-        // Handle presence leave
-        this.handleEvent('presence:leave', ({ topic, user_id }) => {
-          const presenceStore = getPresenceStore(topic);
-          if (presenceStore) {
-            presenceStore.leave(user_id);
-          }
+        // Handle presence leave (of one session with `ref`)
+        handleServerEvent(this, 'presence:leave', ({ topic, user_id, ref }) => {
+          storesFor(topic).forEach((presenceStore) => presenceStore.leave(user_id, ref));
         });
 
         // Handle presence update (e.g., typing status)
-        this.handleEvent('presence:update', ({ topic, user_id, meta }) => {
-          const presenceStore = getPresenceStore(topic);
-          if (presenceStore) {
-            presenceStore.updateUser(user_id, meta);
-          }
+        handleServerEvent(this, 'presence:update', ({ topic, user_id, meta, ref }) => {
+          storesFor(topic).forEach((presenceStore) => presenceStore.updateUser(user_id, meta, ref));
+        });
+
+        // Handle relayed cursors (createCursorStore)
+        const cursorsFor = (topic) => findStores('cursor', topic, this.storeScope)?.stores ?? [];
+
+        handleServerEvent(this, 'cursor:update', (payload) => {
+          cursorsFor(payload.topic).forEach((cursorStore) => cursorStore.handleUpdate(payload));
+        });
+
+        handleServerEvent(this, 'cursor:leave', (payload) => {
+          cursorsFor(payload.topic).forEach((cursorStore) => cursorStore.handleLeave(payload));
         });
+      },
+
+      destroyed() {
+        releaseStoreScope(this);
       }
     }
   };
@@ -521,10 +1807,190 @@ export function createTypingIndicator(options) {
   };
 }
 
+// =============================================================================
+// Idle Detection
+// =============================================================================
+
+const ACTIVITY_EVENTS = ['pointermove', 'pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+/**
+ * Push this session's presence status as the user comes and goes:
+ * `away` after `delay` ms without input in any tab (or `hiddenDelay` ms
+ * with every tab hidden), `online` on the next input or when a tab is
+ * shown. The timer runs in the leader tab (see tabs.js), which shares the
+ * status with the other tabs; each tab pushes it for its own session.
+ *
+ * @param {object} [options]
+ * @param {number} [options.delay=300000] - Idle time before `away` in ms
+ * @param {number} [options.hiddenDelay=60000] - Time hidden before `away` in ms
+ * @param {string | null} [options.event='presence:status'] - Event pushed with
+ *   `{ ...payload, status }` (null to only call onChange)
+ * @param {object} [options.payload] - Extra payload, e.g. `{ topic }`
+ * @param {HTMLElement | object} [options.target] - Push target (see pushEvent)
+ * @param {(status: 'online' | 'away') => void} [options.onChange]
+ * @returns {{ status: import('svelte/store').Readable<'online' | 'away'>, stop: () => void }}
+ *
+ * @example
+ * onMount(() => createIdleDetector({ payload: { topic: 'room:lobby' } }).stop);
+ */
+export function createIdleDetector(options = {}) {
+  const {
+    delay = 300_000,
+    hiddenDelay = 60_000,
+    event = 'presence:status',
+    payload = {},
+    target = null,
+    onChange
+  } = options;
+
+  const status = writable('online');
+  const detector = { status: { subscribe: status.subscribe }, stop() {} };
+  if (typeof document === 'undefined') return detector;
+
+  const channel = openTabChannel('idle');
+  let leading = false;
+  let timer = null;
+  let lastActivity = 0;
+
+  // Visible tabs, as reported to the leader (this one included)
+  const visibleTabs = new Set();
+
+  function setStatus(next, share = true) {
+    if (get(status) === next) return;
+    status.set(next);
+    if (event) pushEvent(event, { ...payload, status: next }, target, { queue: false });
+    onChange?.(next);
+    if (share) channel.post({ type: 'status', status: next });
+  }
+
+  function setVisible(tab, visible) {
+    if (visible) visibleTabs.add(tab);
+    else visibleTabs.delete(tab);
+  }
+
+  function reportVisibility() {
+    channel.post({ type: 'visibility', tab: tabId, visible: !document.hidden });
+  }
+
+  function arm() {
+    if (!leading) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => setStatus('away'), visibleTabs.size > 0 ? delay : hiddenDelay);
+  }
+
+  function activate() {
+    lastActivity = Date.now();
+    setStatus('online');
+    if (leading) arm();
+    else channel.post({ type: 'active' });
+  }
+
+  // Input events come in bursts; re-arm at most once a second while online
+  function onActivity() {
+    if (get(status) === 'online' && Date.now() - lastActivity < 1000) return;
+    activate();
+  }
+
+  function onVisibilityChange() {
+    if (leading) setVisible(tabId, !document.hidden);
+    else reportVisibility();
+
+    if (document.hidden) arm();
+    else activate();
+  }
+
+  function onPageHide() {
+    if (!leading) channel.post({ type: 'visibility', tab: tabId, visible: false });
+  }
+
+  // Status changes aren't queued while offline, and a rejoined session
+  // starts online: report `away` again once the view is back
+  function onRejoin() {
+    if (event && get(status) === 'away') pushEvent(event, { ...payload, status: 'away' }, target, { queue: false });
+  }
+
+  const unsubscribe = channel.subscribe((message) => {
+    switch (message.type) {
+      case 'status':
+        setStatus(message.status, false);
+        break;
+      case 'active':
+        arm();
+        break;
+      case 'visibility':
+        if (!leading) break;
+        setVisible(message.tab, message.visible);
+        arm();
+        break;
+      case 'report':
+        if (!leading) reportVisibility();
+        break;
+    }
+  });
+
+  // A new leader asks the other tabs whether they are visible
+  const stopLeading = whenLeader(() => {
+    leading = true;
+    visibleTabs.clear();
+    setVisible(tabId, !document.hidden);
+    channel.post({ type: 'report' });
+    arm();
+
+    return () => {
+      leading = false;
+      clearTimeout(timer);
+    };
+  });
+
+  ACTIVITY_EVENTS.forEach((name) => window.addEventListener(name, onActivity, { passive: true }));
+  document.addEventListener('visibilitychange', onVisibilityChange);
+  window.addEventListener('pagehide', onPageHide);
+  window.addEventListener('phx:page-loading-stop', onRejoin);
+
+  detector.stop = () => {
+    stopLeading();
+    unsubscribe();
+    ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, onActivity));
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+    window.removeEventListener('pagehide', onPageHide);
+    window.removeEventListener('phx:page-loading-stop', onRejoin);
+  };
+
+  return detector;
+}
+
 // =============================================================================
 // Conflict Resolution
 // =============================================================================
 
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+function writeTime(item) {
+  const time = item.updated_at || item.created_at || 0;
+  return typeof time === 'string' ? Date.parse(time) || 0 : time;
+}
+
+/**
+ * @template T
+ * @typedef {object} ConflictContext
+ * @property {string | number} id - Item id
+ * @property {string} store - Store name
+ * @property {T} base - Server version the local edits started from
+ * @property {string[]} dirty - Locally edited fields not yet confirmed
+ * @property {string[]} fields - Dirty fields the server changed as well
+ * @property {() => T} defer - Keep the local item and list the conflict in `store.conflicts`
+ */
+
+/**
+ * Called when a server update reaches an item with local pending edits.
+ * Returns the item to keep; fields that differ from `incoming` stay pending.
+ *
+ * @template T
+ * @typedef {(local: T, incoming: T, context: ConflictContext<T>) => T} ConflictStrategy
+ */
+
 /**
  * Default merge strategies for conflict resolution
  */
@@ -537,15 +2003,34 @@ export const mergeStrategies = {
   /**
    * Client wins - keep existing data
    */
-  clientWins: (existing, incoming) => existing,
+  clientWins: (existing, _incoming) => existing,
 
   /**
-   * Last write wins - use most recent by timestamp
+   * Last write wins - higher `version`, else most recent `updated_at`
    */
   lastWriteWins: (existing, incoming) => {
-    const existingTime = existing.updated_at || existing.created_at || 0;
-    const incomingTime = incoming.updated_at || incoming.created_at || 0;
-    return incomingTime >= existingTime ? incoming : existing;
+    if (existing.version != null && incoming.version != null) {
+      return incoming.version >= existing.version ? incoming : existing;
+    }
+    return writeTime(incoming) >= writeTime(existing) ? incoming : existing;
+  },
+
+  /**
+   * Field-level merge - take the server's fields but keep locally edited ones
+   */
+  keepDirtyFields: (existing, incoming, { dirty = [] } = {}) => {
+    const kept = Object.fromEntries(dirty.map((field) => [field, existing[field]]));
+    return { ...incoming, ...kept };
+  },
+
+  /**
+   * Prompt - merge fields only one side changed; when both changed the
+   * same field, keep the local item and list the conflict in
+   * `store.conflicts` for the user to resolve
+   */
+  prompt: (existing, incoming, context) => {
+    if (context.fields.length > 0) return context.defer();
+    return mergeStrategies.keepDirtyFields(existing, incoming, context);
   },
 
   /**
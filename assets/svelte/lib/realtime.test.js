@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { get } from 'svelte/store';
+import { setLiveSocket } from './liveview.js';
+import { createRealtimeStore, createIdleDetector, mergeStrategies } from './realtime.js';
+import { clearEntities, getEntity, removeEntities } from './entities.js';
+import { writeSnapshot, deleteSnapshot } from './persist.js';
+
+const users = (count, name = 'User') =>
+  Array.from({ length: count }, (_, i) => ({ id: i + 1, name: `${name} ${i + 1}` }));
+
+describe('sequence numbers', () => {
+  let requests;
+  let store;
+
+  const ids = () => get(store).map((item) => item.id);
+  const append = (seq) => store.handleSync('append', { item: { id: seq } }, seq);
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    document.body.innerHTML = '<div id="phx-main" data-phx-main data-phx-session="s"></div>';
+
+    // realtime:resync requests, answered with `request.reply({ data, seq })`
+    requests = [];
+    const view = {
+      pushEvent(event, payload, reply) {
+        requests.push({ event, payload, reply });
+      }
+    };
+    setLiveSocket({ isConnected: () => true, getViewByEl: () => view });
+  });
+
+  afterEach(() => {
+    store.destroy();
+    vi.useRealTimers();
+  });
+
+  it('applies messages in seq order and drops duplicates', () => {
+    store = createRealtimeStore('messages', [], { seq: 0 });
+
+    append(2);
+    append(1);
+    append(1);
+    append(3);
+
+    expect(ids()).toEqual([1, 2, 3]);
+    expect(store.getSeq()).toBe(3);
+  });
+
+  it('requests a snapshot when a gap stays open and applies newer messages on top', async () => {
+    store = createRealtimeStore('messages', [], { seq: 0, gapTimeout: 1000 });
+
+    append(1);
+    append(3);
+    append(4);
+    expect(ids()).toEqual([1]);
+
+    vi.advanceTimersByTime(1000);
+    expect(get(store.syncStatus)).toBe('resyncing');
+    expect(requests).toMatchObject([{ event: 'realtime:resync', payload: { store: 'messages', seq: 1 } }]);
+
+    requests[0].reply({ data: [{ id: 1 }, { id: 2 }, { id: 3 }], seq: 3 });
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(ids()).toEqual([1, 2, 3, 4]);
+    expect(store.getSeq()).toBe(4);
+    expect(get(store.syncStatus)).toBe('live');
+  });
+
+  it('keeps only the newest maxBuffer messages while a snapshot is on its way', async () => {
+    store = createRealtimeStore('messages', [], { seq: 0, maxBuffer: 3 });
+
+    // 2..5 overflow the buffer and request a snapshot; 6..9 arrive meanwhile
+    for (let seq = 2; seq <= 9; seq++) append(seq);
+    expect(requests).toHaveLength(1);
+
+    requests[0].reply({ data: [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }, { id: 5 }, { id: 6 }], seq: 6 });
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(ids()).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(store.getSeq()).toBe(9);
+  });
+
+  it('asks again when the snapshot predates the messages it dropped', async () => {
+    store = createRealtimeStore('messages', [], { seq: 0, maxBuffer: 3, gapTimeout: 1000 });
+
+    for (let seq = 2; seq <= 9; seq++) append(seq);
+    requests[0].reply({ data: [{ id: 1 }], seq: 1 });
+    await vi.advanceTimersByTimeAsync(0);
+
+    // 2..6 were dropped while waiting: 7..9 wait for a new snapshot
+    expect(ids()).toEqual([1]);
+    vi.advanceTimersByTime(1000);
+    expect(requests).toHaveLength(2);
+  });
+
+  it('takes the seq of persisted items from the next server snapshot', async () => {
+    writeSnapshot({ key: 'messages', version: 1, savedAt: Date.now(), seq: 5, data: [{ id: 5 }] });
+    store = createRealtimeStore('messages', [], { persist: true, gapTimeout: 1000 });
+    expect(ids()).toEqual([5]);
+
+    // Messages 6 and 7 were missed while the page was closed
+    append(8);
+    expect(ids()).toEqual([5]);
+    expect(store.getSeq()).toBe(null);
+
+    vi.advanceTimersByTime(1000);
+    expect(requests).toMatchObject([{ event: 'realtime:resync', payload: { store: 'messages', seq: null } }]);
+
+    requests[0].reply({ data: [{ id: 5 }, { id: 6 }, { id: 7 }], seq: 7 });
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(ids()).toEqual([5, 6, 7, 8]);
+    expect(store.getSeq()).toBe(8);
+    expect(get(store.syncStatus)).toBe('live');
+    await deleteSnapshot('messages');
+  });
+});
+
+describe('entity cache', () => {
+  const stores = [];
+  const create = (name, items, options = {}) => {
+    const store = createRealtimeStore(name, items, { entity: 'user', ...options });
+    stores.push(store);
+    return store;
+  };
+
+  afterEach(() => {
+    stores.splice(0).forEach((store) => store.destroy());
+    clearEntities();
+  });
+
+  it('updates every store of the type with one store update per change', () => {
+    const members = create('members', users(300));
+    const authors = create('authors', users(300));
+
+    let updates = 0;
+    const unsubscribe = authors.subscribe(() => updates++);
+    updates = 0;
+
+    members.handleSync('set', { data: users(300, 'Renamed') });
+    unsubscribe();
+
+    expect(updates).toBe(1);
+    expect(get(authors)[299].name).toBe('Renamed 300');
+  });
+
+  it('removes entities from every store in one update', () => {
+    const members = create('members', users(3));
+
+    let updates = 0;
+    const unsubscribe = members.subscribe(() => updates++);
+    updates = 0;
+
+    removeEntities('user', [1, 3]);
+    unsubscribe();
+
+    expect(updates).toBe(1);
+    expect(get(members).map((u) => u.id)).toEqual([2]);
+  });
+
+  it('shares server data but keeps local edits in their own store', () => {
+    const initial = [{ id: 1, name: 'Ada', title: 'Engineer' }];
+    const a = create('a', initial, { merge: mergeStrategies.keepDirtyFields });
+    const b = create('b', initial, { merge: mergeStrategies.keepDirtyFields });
+
+    a.updateItem(1, { name: 'Local' });
+    expect(get(b)[0].name).toBe('Ada');
+    expect(getEntity('user', 1).name).toBe('Ada');
+
+    b.updateItem(1, { title: 'Lead' });
+    a.handleSync('update', { id: 1, changes: { name: 'Server', title: 'CTO' } });
+
+    expect(get(a)[0]).toMatchObject({ name: 'Local', title: 'CTO' });
+    expect(get(b)[0]).toMatchObject({ name: 'Server', title: 'Lead' });
+  });
+});
+
+describe('idle detector', () => {
+  it('runs the idle timer in the leader tab and pushes each status change once', () => {
+    vi.useFakeTimers();
+    document.body.innerHTML = '<div id="phx-main" data-phx-main data-phx-session="s"></div>';
+    const pushed = [];
+    const view = { pushEvent: (event, payload) => pushed.push(payload.status) };
+    setLiveSocket({ isConnected: () => true, getViewByEl: () => view });
+
+    const detector = createIdleDetector({ delay: 1000 });
+    vi.advanceTimersByTime(1000);
+    expect(get(detector.status)).toBe('away');
+
+    window.dispatchEvent(new Event('keydown'));
+    expect(get(detector.status)).toBe('online');
+    expect(pushed).toEqual(['away', 'online']);
+
+    detector.stop();
+    vi.useRealTimers();
+  });
+});
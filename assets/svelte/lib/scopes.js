@@ -0,0 +1,245 @@
+/**
+ * Store Scopes
+ *
+ * Registries of named stores, scoped to the LiveView that owns them.
+ * The LiveView and realtime hooks route server events to the stores in
+ * their own view's scope and destroy that scope (and its stores) when
+ * the last hook of the view is destroyed, e.g. after live_redirect.
+ * Scopes of views that had no such hook are swept once the next page
+ * load finishes.
+ *
+ * Features:
+ * - Scopes keyed by LiveView id (the view element's id)
+ * - Several stores may share a name within a scope; all receive updates
+ * - A `global` scope for stores created outside any LiveView
+ * - Per-scope listing for the debug tools
+ *
+ * Usage:
+ *   import { getStoreScope, acquireStoreScope, releaseStoreScope } from '$lib/scopes';
+ *
+ *   // In a custom hook
+ *   mounted() {
+ *     this.scope = acquireStoreScope(this);
+ *     this.scope.register('store', 'cart', cartStore);
+ *   },
+ *   destroyed() {
+ *     releaseStoreScope(this);  // destroys the scope's stores when last owner leaves
+ *   }
+ */
+
+/**
+ * Scope for stores created outside a LiveView
+ */
+export const GLOBAL_SCOPE = 'global';
+
+/**
+ * @typedef {object} StoreScope
+ * @property {string} id - LiveView id, or GLOBAL_SCOPE
+ * @property {(kind: string, name: string, store: object) => () => void} register
+ * @property {(kind: string, name: string, store?: object) => void} unregister
+ * @property {(kind: string, name: string) => object[]} lookup
+ * @property {() => Object<string, string[]>} list
+ * @property {() => void} destroy
+ */
+
+/** @type {Map<string, StoreScope>} */
+const scopes = new Map();
+
+/** @type {Map<string, Set<object>>} */
+const scopeOwners = new Map();
+
+// =============================================================================
+// Resolution
+// =============================================================================
+
+function mainViewId() {
+  if (typeof document === 'undefined') return GLOBAL_SCOPE;
+  return document.querySelector('[data-phx-main]')?.id || GLOBAL_SCOPE;
+}
+
+/**
+ * Resolve a scope reference to a scope id.
+ *
+ * @param {string | HTMLElement | { el: HTMLElement } | { element: HTMLElement | null } | null} [ref]
+ *   Scope id, element inside a LiveView, hook instance, or useLiveTarget scope.
+ *   Defaults to the main LiveView (or GLOBAL_SCOPE when there is none).
+ * @returns {string}
+ */
+export function resolveScopeId(ref = null) {
+  if (ref == null) return mainViewId();
+  if (typeof ref === 'string') return ref;
+
+  const el = ref.el ?? ('element' in ref ? ref.element : ref);
+  return el?.closest?.('[data-phx-session]')?.id || mainViewId();
+}
+
+// =============================================================================
+// Scopes
+// =============================================================================
+
+function createScope(id) {
+  /** @type {Map<string, Map<string, Set<object>>>} */
+  const registries = new Map();
+
+  const scope = {
+    id,
+
+    register(kind, name, store) {
+      if (!registries.has(kind)) registries.set(kind, new Map());
+      const registry = registries.get(kind);
+      if (!registry.has(name)) registry.set(name, new Set());
+      registry.get(name).add(store);
+
+      return () => scope.unregister(kind, name, store);
+    },
+
+    /**
+     * Remove one store, or every store with the name when `store` is omitted
+     */
+    unregister(kind, name, store) {
+      const registry = registries.get(kind);
+      const stores = registry?.get(name);
+      if (!stores) return;
+
+      if (store) stores.delete(store);
+      if (!store || stores.size === 0) registry.delete(name);
+    },
+
+    lookup(kind, name) {
+      return Array.from(registries.get(kind)?.get(name) ?? []);
+    },
+
+    list() {
+      return Object.fromEntries(
+        Array.from(registries.entries()).map(([kind, registry]) => [kind, Array.from(registry.keys())])
+      );
+    },
+
+    destroy() {
+      const stores = Array.from(registries.values()).flatMap((registry) =>
+        Array.from(registry.values()).flatMap((set) => Array.from(set))
+      );
+      registries.clear();
+      scopes.delete(id);
+      scopeOwners.delete(id);
+
+      stores.forEach((store) => store.destroy?.());
+    }
+  };
+
+  return scope;
+}
+
+/**
+ * Get (or create) the scope for a reference.
+ *
+ * @param {Parameters<typeof resolveScopeId>[0]} [ref]
+ * @returns {StoreScope}
+ */
+export function getStoreScope(ref = null) {
+  const id = resolveScopeId(ref);
+  if (!scopes.has(id)) scopes.set(id, createScope(id));
+  return scopes.get(id);
+}
+
+// Scope ids to search from a scope outwards: its view, the enclosing views,
+// the main view (where stores created without a scope go) and global
+function lookupChain(scope) {
+  const ids = [];
+
+  if (scope && scope.id !== GLOBAL_SCOPE) {
+    ids.push(scope.id);
+
+    let viewEl = typeof document === 'undefined' ? null : document.getElementById(scope.id);
+    while ((viewEl = viewEl?.parentElement?.closest('[data-phx-session]'))) {
+      ids.push(viewEl.id);
+    }
+
+    ids.push(mainViewId());
+  }
+
+  ids.push(GLOBAL_SCOPE);
+  return [...new Set(ids)];
+}
+
+/**
+ * Find the stores registered under a name, looking in the given scope
+ * first, then in the scopes of the enclosing LiveViews and the main view,
+ * and finally in the global scope.
+ *
+ * @param {string} kind - Registry kind ('store', 'realtime', 'presence')
+ * @param {string} name - Store name
+ * @param {StoreScope | null} [scope]
+ * @returns {{ scope: StoreScope, stores: object[] } | null}
+ */
+export function findStores(kind, name, scope = null) {
+  for (const id of lookupChain(scope)) {
+    const candidate = scopes.get(id);
+    const stores = candidate?.lookup(kind, name) ?? [];
+    if (stores.length > 0) return { scope: candidate, stores };
+  }
+  return null;
+}
+
+// =============================================================================
+// Ownership
+// =============================================================================
+
+/**
+ * Register a hook as an owner of its LiveView's scope.
+ * Call from the hook's `mounted()`.
+ *
+ * @param {{ el: HTMLElement }} hook - LiveView hook instance
+ * @returns {StoreScope}
+ */
+export function acquireStoreScope(hook) {
+  const scope = getStoreScope(hook);
+  if (!scopeOwners.has(scope.id)) scopeOwners.set(scope.id, new Set());
+  scopeOwners.get(scope.id).add(hook);
+  return scope;
+}
+
+/**
+ * Remove a hook as an owner. When the last owner is gone the scope and
+ * every store in it are destroyed. Call from the hook's `destroyed()`.
+ *
+ * @param {{ el: HTMLElement }} hook - LiveView hook instance
+ */
+export function releaseStoreScope(hook) {
+  for (const [id, owners] of scopeOwners) {
+    if (!owners.delete(hook)) continue;
+    if (owners.size === 0 && id !== GLOBAL_SCOPE) scopes.get(id)?.destroy();
+    return;
+  }
+}
+
+/**
+ * Destroy the scopes no hook owns whose LiveView is no longer in the
+ * page, e.g. stores of a view without StoreSync or SvelteComponent hooks
+ * after live_redirect. liveview.js runs this on `phx:page-loading-stop`.
+ */
+export function sweepStoreScopes() {
+  if (typeof document === 'undefined') return;
+
+  for (const [id, scope] of [...scopes]) {
+    if (id === GLOBAL_SCOPE || scopeOwners.get(id)?.size) continue;
+    if (!document.getElementById(id)) scope.destroy();
+  }
+}
+
+// =============================================================================
+// Inspection
+// =============================================================================
+
+/**
+ * List scopes with their owners and store names, for the debug tools.
+ *
+ * @returns {Array<{ id: string, owners: number, stores: Object<string, string[]> }>}
+ */
+export function listStoreScopes() {
+  return Array.from(scopes.values()).map((scope) => ({
+    id: scope.id,
+    owners: scopeOwners.get(scope.id)?.size ?? 0,
+    stores: scope.list()
+  }));
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { writable } from 'svelte/store';
+import { setLiveSocket, registerStore, initLiveViewHooks } from './liveview.js';
+import { listStoreScopes } from './scopes.js';
+
+// A store that records whether its scope destroyed it
+function trackedStore() {
+  const store = writable(null);
+  store.destroyed = false;
+  store.destroy = () => {
+    store.destroyed = true;
+  };
+  return store;
+}
+
+function navigate(viewId) {
+  document.body.innerHTML = `<div id="${viewId}" data-phx-main data-phx-session="s"></div>`;
+  window.dispatchEvent(new CustomEvent('phx:page-loading-stop', { detail: { kind: 'redirect' } }));
+}
+
+describe('store scopes', () => {
+  beforeEach(() => {
+    setLiveSocket({ isConnected: () => true, getViewByEl: () => null });
+    navigate('phx-first');
+  });
+
+  it('destroys the stores of a view without hooks once it leaves the page', () => {
+    const store = trackedStore();
+    registerStore('cart', store);
+
+    navigate('phx-second');
+
+    expect(store.destroyed).toBe(true);
+    expect(listStoreScopes().map((scope) => scope.id)).not.toContain('phx-first');
+  });
+
+  it('keeps stores while a SvelteComponent hook of the view is mounted', () => {
+    const hook = Object.create(initLiveViewHooks().SvelteComponent);
+    hook.el = document.getElementById('phx-first');
+    hook.mounted();
+
+    const store = trackedStore();
+    registerStore('cart', store);
+    window.dispatchEvent(new CustomEvent('phx:page-loading-stop', { detail: { kind: 'patch' } }));
+    expect(store.destroyed).toBe(false);
+
+    hook.destroyed();
+    expect(store.destroyed).toBe(true);
+  });
+});
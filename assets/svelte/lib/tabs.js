@@ -0,0 +1,227 @@
+/**
+ * Cross-tab Coordination
+ *
+ * Messaging between open tabs of the app and election of a single leader
+ * tab, for work that should run once per browser rather than once per
+ * tab (polling, presence heartbeats).
+ *
+ * Features:
+ * - Named channels over BroadcastChannel, with a localStorage fallback
+ * - Leader election with Web Locks, with a localStorage lease fallback
+ * - `isLeader` store and `whenLeader()` to run work only in the leader
+ *
+ * Usage:
+ *   import { openTabChannel, whenLeader, isLeader } from '$lib/tabs';
+ *
+ *   const channel = openTabChannel('cart');
+ *   channel.subscribe((message) => console.log('from another tab', message));
+ *   channel.post({ type: 'cleared' });
+ *
+ *   // Poll the server from one tab only
+ *   const stop = whenLeader(() => {
+ *     const interval = setInterval(refresh, 30_000);
+ *     return () => clearInterval(interval);
+ *   });
+ */
+
+import { readable } from 'svelte/store';
+
+/**
+ * Id of this tab, unique among open tabs
+ */
+export const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const PREFIX = 'ash-stack:tabs';
+
+// =============================================================================
+// Channels
+// =============================================================================
+
+/**
+ * @typedef {object} TabChannel
+ * @property {(message: any) => void} post - Send to every other tab
+ * @property {(listener: (message: any) => void) => () => void} subscribe - Receive from other tabs
+ */
+
+/** @type {Map<string, TabChannel>} */
+const channels = new Map();
+
+function createChannel(name) {
+  const listeners = new Set();
+  const deliver = (data) => {
+    if (!data || data.tabId === tabId) return;
+    listeners.forEach((listener) => listener(data.message));
+  };
+
+  let send = () => {};
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(`${PREFIX}:${name}`);
+    channel.onmessage = (event) => deliver(event.data);
+    send = (data) => channel.postMessage(data);
+  } else if (typeof window !== 'undefined' && typeof localStorage !== 'undefined') {
+    // `storage` events only fire in the other tabs
+    const key = `${PREFIX}:${name}`;
+    window.addEventListener('storage', (event) => {
+      if (event.key !== key || !event.newValue) return;
+      try {
+        deliver(JSON.parse(event.newValue));
+      } catch {
+        // Not one of ours
+      }
+    });
+    send = (data) => {
+      try {
+        localStorage.setItem(key, JSON.stringify({ ...data, nonce: Math.random() }));
+        localStorage.removeItem(key);
+      } catch (error) {
+        console.warn('[Tabs] Could not post message:', error);
+      }
+    };
+  }
+
+  return {
+    post(message) {
+      try {
+        send({ tabId, message });
+      } catch (error) {
+        // e.g. a payload that can't be cloned
+        console.warn(`[Tabs] Could not post to ${name}:`, error);
+      }
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+/**
+ * Open (or reuse) a named channel to the other tabs. Messages must be
+ * structured-clonable (JSON-serializable for the localStorage fallback).
+ *
+ * @param {string} name - Channel name
+ * @returns {TabChannel}
+ */
+export function openTabChannel(name) {
+  if (!channels.has(name)) channels.set(name, createChannel(name));
+  return channels.get(name);
+}
+
+// =============================================================================
+// Leader Election
+// =============================================================================
+
+const LEASE_KEY = `${PREFIX}:leader`;
+const LEASE_TTL = 3000;
+const LEASE_RENEW = 1000;
+
+function electWithLocks(set) {
+  const controller = new AbortController();
+  let release = null;
+
+  navigator.locks
+    .request(LEASE_KEY, { signal: controller.signal }, () => {
+      set(true);
+      // Hold the lock until the tab closes or leadership is given up
+      return new Promise((resolve) => (release = resolve));
+    })
+    .catch((error) => {
+      if (error?.name !== 'AbortError') console.warn('[Tabs] Leader election failed:', error);
+    });
+
+  return () => {
+    // Leave the queue if still waiting, or give the lock up if held
+    controller.abort();
+    release?.();
+    set(false);
+  };
+}
+
+function electWithLease(set) {
+  const readLease = () => {
+    try {
+      return JSON.parse(localStorage.getItem(LEASE_KEY));
+    } catch {
+      return null;
+    }
+  };
+
+  function renew() {
+    const lease = readLease();
+    if (!lease || lease.expires < Date.now() || lease.tabId === tabId) {
+      try {
+        localStorage.setItem(LEASE_KEY, JSON.stringify({ tabId, expires: Date.now() + LEASE_TTL }));
+      } catch {
+        // Storage full or blocked: stay a follower
+      }
+    }
+    // Re-read: another tab may have written at the same time
+    set(readLease()?.tabId === tabId);
+  }
+
+  function resign() {
+    if (readLease()?.tabId === tabId) localStorage.removeItem(LEASE_KEY);
+  }
+
+  renew();
+  const interval = setInterval(renew, LEASE_RENEW);
+  window.addEventListener('pagehide', resign);
+
+  return () => {
+    clearInterval(interval);
+    window.removeEventListener('pagehide', resign);
+    resign();
+    set(false);
+  };
+}
+
+/**
+ * Whether this tab is the leader. The election runs while the store has
+ * subscribers. Without Web Locks or localStorage every tab leads.
+ * @type {import('svelte/store').Readable<boolean>}
+ */
+export const isLeader = readable(false, (set) => {
+  if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+    return electWithLocks(set);
+  }
+  if (typeof window !== 'undefined' && typeof localStorage !== 'undefined') {
+    return electWithLease(set);
+  }
+
+  set(true);
+  return undefined;
+});
+
+/**
+ * Run `start` while this tab is the leader. Its returned cleanup runs when
+ * leadership moves to another tab or `stop` is called.
+ *
+ * @param {() => (void | (() => void))} start
+ * @returns {() => void} stop
+ *
+ * @example
+ * whenLeader(() => {
+ *   const heartbeat = setInterval(() => pushEvent('presence:heartbeat'), 15_000);
+ *   return () => clearInterval(heartbeat);
+ * });
+ */
+export function whenLeader(start) {
+  let cleanup = null;
+
+  const unsubscribe = isLeader.subscribe((leader) => {
+    if (leader && !cleanup) {
+      cleanup = start() || (() => {});
+    } else if (!leader && cleanup) {
+      cleanup();
+      cleanup = null;
+    }
+  });
+
+  return () => {
+    unsubscribe();
+    cleanup?.();
+    cleanup = null;
+  };
+}
@@ -17,7 +17,7 @@
  *   expect(getEvents()).toContainEqual({ event: 'save', payload: { id: 1 } });
  */
 
-import { writable, get } from 'svelte/store';
+import { writable, readable, get } from 'svelte/store';
 
 // =============================================================================
 // LiveSocket Mocking
@@ -313,6 +313,27 @@ export function mockPresenceStore(initialUsers = []) {
     count: {
       subscribe: (fn) => users.subscribe((list) => fn(list.length))
     },
+    byStatus: {
+      subscribe: (fn) =>
+        users.subscribe((list) =>
+          fn(
+            list.reduce(
+              (groups, u) => {
+                const status = u.status || 'online';
+                return { ...groups, [status]: [...(groups[status] ?? []), u] };
+              },
+              { online: [], away: [], busy: [] }
+            )
+          )
+        )
+    },
+    statusOf: (userId) => ({
+      subscribe: (fn) =>
+        users.subscribe((list) => {
+          const user = list.find((u) => u.id === userId);
+          fn(user ? user.status || 'online' : 'offline');
+        })
+    }),
     sync: (userList) => users.set(userList),
     join: (user) => users.update((list) => [...list, user]),
     leave: (userId) => users.update((list) => list.filter((u) => u.id !== userId)),
@@ -340,6 +361,7 @@ export function mockRealtimeStore(initialItems = [], options = {}) {
   const getId = options.getId || ((item) => item.id);
   const items = writable(initialItems);
   const optimisticItems = new Map();
+  const optimisticRetries = new Map();
 
   return {
     subscribe: items.subscribe,
@@ -352,12 +374,14 @@ export function mockRealtimeStore(initialItems = [], options = {}) {
       ),
     remove: (id) =>
       items.update((list) => list.filter((item) => getId(item) !== id)),
-    addOptimistic: (tempId, item) => {
+    addOptimistic: (tempId, item, { retry = null } = {}) => {
       optimisticItems.set(tempId, item);
+      if (retry) optimisticRetries.set(tempId, retry);
       items.update((list) => [...list, { ...item, _optimistic: true, _tempId: tempId }]);
     },
     reconcile: (tempId, realItem) => {
       optimisticItems.delete(tempId);
+      optimisticRetries.delete(tempId);
       items.update((list) =>
         list.map((item) =>
           item._tempId === tempId ? { ...realItem, _optimistic: false } : item
@@ -366,8 +390,30 @@ export function mockRealtimeStore(initialItems = [], options = {}) {
     },
     rollback: (tempId) => {
       optimisticItems.delete(tempId);
+      optimisticRetries.delete(tempId);
+      items.update((list) => list.filter((item) => item._tempId !== tempId));
+    },
+    fail: (tempId, reason = 'Failed') =>
+      items.update((list) =>
+        list.map((item) => (item._tempId === tempId ? { ...item, _failed: true, _error: reason } : item))
+      ),
+    retry: (tempId) => {
+      const retry = optimisticRetries.get(tempId);
+      if (!retry) return false;
+      items.update((list) =>
+        list.map((item) => (item._tempId === tempId ? { ...item, _failed: false, _error: null } : item))
+      );
+      retry();
+      return true;
+    },
+    canRetry: (tempId) => optimisticRetries.has(tempId),
+    discard: (tempId) => {
+      optimisticItems.delete(tempId);
+      optimisticRetries.delete(tempId);
       items.update((list) => list.filter((item) => item._tempId !== tempId));
     },
+    syncStatus: readable('live'),
+    conflicts: readable([]),
     get: () => get(items),
     find: (id) => get(items).find((item) => getId(item) === id),
     getOptimisticCount: () => optimisticItems.size
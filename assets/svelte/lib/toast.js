@@ -14,19 +14,74 @@
  * // Custom options
  * toast.success('Saved!', { duration: 3000 });
  *
+ * // Update in place (e.g. loading → success)
+ * const id = toast.info('Uploading...', { duration: 0 });
+ * toast.update(id, { message: 'Uploaded', variant: 'success', duration: 3000 });
+ *
+ * // Choose the id yourself so the server can update or dismiss it later
+ * toast.info('Export started', { id: 'export-42', duration: 0 });
+ *
+ * // Show, update and dismiss toasts in every open tab
+ * toast.syncAcrossTabs();
+ *
  * // In your layout, add <ToastContainer />
  */
 
 import { writable } from 'svelte/store';
+import { openTabChannel, tabId } from './tabs.js';
 
 // Toast store
 function createToastStore() {
   const { subscribe, update } = writable([]);
 
   let idCounter = 0;
+  let current = [];
+  const timers = new Map();
+
+  // Cross-tab: toasts shown in every tab, by id. Caller-chosen ids always
+  // mean the same toast; generated ids are shared while syncing
+  const sharedIds = new Set();
+  let channel = null;
+  let stopSync = null;
+  let remote = false;
+
+  function mirror(op, id, changes) {
+    if (channel && !remote && sharedIds.has(id)) channel.post({ op, id, changes });
+  }
+
+  // Actions hold callbacks, which can't be sent to other tabs
+  function clonable(changes) {
+    const rest = { ...changes };
+    delete rest.action;
+    return rest;
+  }
+
+  subscribe((toasts) => (current = toasts));
 
+  // (Re)start the auto-dismiss timer for a toast
+  function schedule(id, duration) {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+
+    if (duration > 0) {
+      timers.set(id, setTimeout(() => dismiss(id), duration));
+    }
+  }
+
+  // An existing id updates that toast in place instead of adding another
   function addToast(message, options = {}) {
-    const id = ++idCounter;
+    if (options.id != null && current.some((t) => t.id === options.id)) {
+      updateToast(options.id, { ...options, message });
+      return options.id;
+    }
+
+    // Generated ids must not collide with those of other tabs. A toast
+    // with an action stays in this tab, where its callback runs
+    let id = options.id;
+    if (id == null) {
+      id = channel && !options.action ? `${tabId}:${++idCounter}` : ++idCounter;
+    }
+    if (options.id != null || typeof id === 'string') sharedIds.add(id);
 
     const toast = {
       id,
@@ -38,29 +93,93 @@ function createToastStore() {
     };
 
     update((toasts) => [...toasts, toast]);
+    mirror('add', id, clonable(toast));
 
     // Auto-dismiss
-    if (toast.duration > 0) {
-      setTimeout(() => {
-        dismiss(id);
-      }, toast.duration);
-    }
+    schedule(id, toast.duration);
 
     return id;
   }
 
+  /**
+   * Change a visible toast in place. Passing `duration` restarts the
+   * auto-dismiss timer (0 keeps it open).
+   *
+   * @param {number | string} id - Toast id
+   * @param {{ message?: string, variant?: string, duration?: number, dismissible?: boolean, action?: object | null }} changes
+   * @returns {boolean} Whether the toast was found
+   */
+  function updateToast(id, changes = {}) {
+    if (!current.some((t) => t.id === id)) return false;
+
+    const patch = Object.fromEntries(
+      Object.entries(changes).filter(([key, value]) => key !== 'id' && value !== undefined)
+    );
+
+    update((toasts) => toasts.map((t) => (t.id === id ? { ...t, ...patch } : t)));
+    mirror('update', id, clonable(patch));
+
+    if (patch.duration !== undefined) {
+      schedule(id, patch.duration);
+    }
+
+    return true;
+  }
+
   function dismiss(id) {
+    mirror('dismiss', id);
+    sharedIds.delete(id);
+    clearTimeout(timers.get(id));
+    timers.delete(id);
     update((toasts) => toasts.filter((t) => t.id !== id));
   }
 
   function clear() {
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+    sharedIds.clear();
     update(() => []);
   }
 
+  /**
+   * Show toasts added from now on in the other tabs too, and mirror their
+   * update() and dismiss() (e.g. a server toast closed in one tab closes
+   * everywhere). Toasts with an `action` stay in the tab that added them,
+   * unless they have an explicit `id`; the action itself is never sent.
+   * Give toasts that every tab shows on its own (e.g. broadcast by the
+   * server) an explicit `id`, so the copies collapse into one.
+   *
+   * @returns {() => void} Stop syncing
+   */
+  function syncAcrossTabs() {
+    if (stopSync) return stopSync;
+
+    channel = openTabChannel('toasts');
+    const unsubscribe = channel.subscribe(({ op, id, changes }) => {
+      remote = true;
+      try {
+        if (op === 'add') addToast(changes.message, { ...changes, id });
+        else if (op === 'dismiss') dismiss(id);
+        else if (op === 'update') updateToast(id, changes);
+      } finally {
+        remote = false;
+      }
+    });
+
+    stopSync = () => {
+      unsubscribe();
+      channel = null;
+      stopSync = null;
+    };
+    return stopSync;
+  }
+
   return {
     subscribe,
+    update: updateToast,
     dismiss,
     clear,
+    syncAcrossTabs,
 
     // Convenience methods
     success(message, options = {}) {
@@ -90,25 +209,31 @@ function createToastStore() {
         dismissible: false
       });
 
+      // Turn the loading toast into the result (re-add it if it was cleared)
+      const settle = (message, variant) => {
+        const changes = { message, variant, duration: 4000, dismissible: true };
+        if (!updateToast(id, changes)) addToast(message, changes);
+      };
+
       try {
         const result = await promise;
-        dismiss(id);
         if (messages.success) {
-          addToast(
+          settle(
             typeof messages.success === 'function'
               ? messages.success(result)
               : messages.success,
-            { variant: 'success' }
+            'success'
           );
+        } else {
+          dismiss(id);
         }
         return result;
       } catch (error) {
-        dismiss(id);
-        addToast(
+        settle(
           typeof messages.error === 'function'
             ? messages.error(error)
             : messages.error || 'Something went wrong',
-          { variant: 'error' }
+          'error'
         );
         throw error;
       }
@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { get } from 'svelte/store';
+
+// The other tabs: `posted` holds what this tab sent, `receive` delivers
+// a message from another tab
+const tabs = vi.hoisted(() => ({ posted: [], listeners: new Set() }));
+
+vi.mock('./tabs.js', () => ({
+  tabId: 'this-tab',
+  openTabChannel: () => ({
+    post: (message) => tabs.posted.push(message),
+    subscribe(listener) {
+      tabs.listeners.add(listener);
+      return () => tabs.listeners.delete(listener);
+    }
+  })
+}));
+
+const { toast } = await import('./toast.js');
+const receive = (message) => tabs.listeners.forEach((listener) => listener(message));
+
+describe('toast cross-tab sync', () => {
+  let stopSync;
+
+  beforeEach(() => {
+    tabs.posted.length = 0;
+    stopSync = toast.syncAcrossTabs();
+  });
+
+  afterEach(() => {
+    stopSync();
+    toast.clear();
+  });
+
+  it('shows toasts added in one tab in the others', () => {
+    const id = toast.success('Saved');
+
+    expect(tabs.posted).toEqual([
+      { op: 'add', id, changes: expect.objectContaining({ id, message: 'Saved', variant: 'success' }) }
+    ]);
+    expect(id).toMatch(/^this-tab:/);
+
+    receive({ op: 'add', id: 'other-tab:1', changes: { id: 'other-tab:1', message: 'Sent', variant: 'info', duration: 0 } });
+    expect(get(toast).map((t) => t.message)).toEqual(['Saved', 'Sent']);
+    expect(tabs.posted).toHaveLength(1);
+  });
+
+  it('collapses copies of a toast with an explicit id', () => {
+    toast.info('Export ready', { id: 'export-42', duration: 0 });
+    receive({ op: 'add', id: 'export-42', changes: { id: 'export-42', message: 'Export ready', variant: 'info' } });
+
+    expect(get(toast)).toHaveLength(1);
+  });
+
+  it('keeps toasts with an action in their own tab', () => {
+    toast.info('Deleted', { action: { label: 'Undo', onClick: () => {} } });
+    expect(tabs.posted).toEqual([]);
+  });
+
+  it('mirrors dismissing a shared toast', () => {
+    const id = toast.info('Uploading', { duration: 0 });
+    toast.dismiss(id);
+
+    expect(tabs.posted.map((m) => m.op)).toEqual(['add', 'dismiss']);
+  });
+});
@@ -155,7 +155,7 @@ export function url(message = 'Please enter a valid URL') {
  * @returns {function} Validation rule
  */
 export function phone(message = 'Please enter a valid phone number') {
-  const phoneRegex = /^[\d\s\-\+\(\)]+$/;
+  const phoneRegex = /^[\d\s\-+()]+$/;
   return (value) => {
     if (!value) return null;
     const digits = value.replace(/\D/g, '');
@@ -166,6 +166,20 @@ export function phone(message = 'Please enter a valid phone number') {
   };
 }
 
+/**
+ * Value has a given JavaScript type
+ * @param {'string' | 'number' | 'boolean' | 'object' | 'array'} type - Expected type
+ * @param {string} message - Custom error message
+ * @returns {function} Validation rule
+ */
+export function ofType(type, message) {
+  return (value) => {
+    if (value === null || value === undefined) return null;
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    return actual === type ? null : (message || `Must be of type ${type}`);
+  };
+}
+
 // ============================================
 // Validator Factory
 // ============================================
@@ -189,7 +203,7 @@ export function createValidator(schema) {
     const errors = {};
 
     for (const [field, rules] of Object.entries(schema)) {
-      const value = values[field];
+      const value = getPath(values, field);
 
       for (const rule of rules) {
         const error = rule(value, values);
@@ -204,6 +218,56 @@ export function createValidator(schema) {
   };
 }
 
+/**
+ * Read a field by path. `address.street` reads `values.address.street`
+ * unless `values` has a literal `address.street` key.
+ * @param {Object} values - Form values
+ * @param {string} path - Field name or dotted path
+ * @returns {any}
+ */
+export function getPath(values, path) {
+  if (values == null) return undefined;
+  if (path in Object(values)) return values[path];
+  return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), values);
+}
+
+/**
+ * Flatten a server error map into one message per dotted path.
+ *
+ * Accepts the shapes produced by AshFormHelpers and reply_error/3:
+ * flat maps (`{ "address.street": "is required" }`), nested maps
+ * (`{ address: { street: "is required" } }`), lists of messages
+ * (first wins) and lists of nested forms (`{ lines: [{ qty: "..." }] }`).
+ * @param {Object} errors - Server errors
+ * @returns {Object<string, string>} Errors by path
+ */
+export function flattenErrors(errors, prefix = '') {
+  const result = {};
+
+  for (const [key, value] of Object.entries(errors || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value == null || value === '') continue;
+
+    if (typeof value === 'string') {
+      result[path] = value;
+    } else if (Array.isArray(value)) {
+      const message = value.find((item) => typeof item === 'string');
+      if (message) {
+        result[path] = message;
+      } else {
+        Object.assign(result, flattenErrors({ ...value }, path));
+      }
+    } else if (typeof value === 'object') {
+      Object.assign(result, flattenErrors(value, path));
+    } else {
+      result[path] = String(value);
+    }
+  }
+
+  return result;
+}
+
 /**
  * Validate a single field
  * @param {any} value - Field value
@@ -241,6 +305,10 @@ import { writable, derived } from 'svelte/store';
  * <input bind:value={$form.values.email} on:blur={() => form.touch('email')} />
  * {#if $form.errors.email}<span>{$form.errors.email}</span>{/if}
  * <button disabled={!$form.isValid || $form.isSubmitting}>Submit</button>
+ *
+ * // Server (Ash) errors, keyed by path; cleared when the field changes
+ * form.setServerErrors({ email: 'has already been taken', address: { street: 'is required' } });
+ * // $errors['address.street'] === 'is required'
  */
 export function createFormStore(initialValues, schema = {}) {
   const values = writable({ ...initialValues });
@@ -248,20 +316,53 @@ export function createFormStore(initialValues, schema = {}) {
   const isSubmitting = writable(false);
   const submitCount = writable(0);
 
+  const serverErrors = writable({});
+
   const validate = createValidator(schema);
 
-  // Derive errors from values
-  const errors = derived(values, ($values) => validate($values));
+  // Drop a field's server error as soon as its value changes. The errored
+  // fields' values are copied: `bind:value` mutates $values in place.
+  let currentValues = null;
+  let errorValues = {};
+
+  values.subscribe(($values) => {
+    currentValues = $values;
+    serverErrors.update(($serverErrors) => {
+      const changed = Object.keys($serverErrors).filter(
+        (path) => getPath($values, path) !== errorValues[path]
+      );
+      if (changed.length === 0) return $serverErrors;
+
+      const remaining = { ...$serverErrors };
+      changed.forEach((path) => delete remaining[path]);
+      return remaining;
+    });
+  });
+
+  serverErrors.subscribe(($serverErrors) => {
+    errorValues = Object.fromEntries(
+      Object.keys($serverErrors).map((path) => [path, getPath(currentValues, path)])
+    );
+  });
+
+  // Client validation errors
+  const clientErrors = derived(values, ($values) => validate($values));
+
+  // Derive errors from values, with server errors for fields that pass client validation
+  const errors = derived(
+    [clientErrors, serverErrors],
+    ([$clientErrors, $serverErrors]) => ({ ...$serverErrors, ...$clientErrors })
+  );
 
   // Derive validity
   const isValid = derived(errors, ($errors) => Object.keys($errors).length === 0);
 
-  // Derive touched errors (only show errors for touched fields)
+  // Derive touched errors (only show errors for touched fields; server errors always show)
   const touchedErrors = derived(
-    [errors, touched],
-    ([$errors, $touched]) => {
-      const result = {};
-      for (const [field, error] of Object.entries($errors)) {
+    [clientErrors, serverErrors, touched],
+    ([$clientErrors, $serverErrors, $touched]) => {
+      const result = { ...$serverErrors };
+      for (const [field, error] of Object.entries($clientErrors)) {
         if ($touched[field]) {
           result[field] = error;
         }
@@ -273,12 +374,32 @@ export function createFormStore(initialValues, schema = {}) {
   return {
     values,
     errors,
+    clientErrors,
+    serverErrors: { subscribe: serverErrors.subscribe },
     touchedErrors,
     touched,
     isValid,
     isSubmitting,
     submitCount,
 
+    // Show errors from the server (e.g. Ash validations), keyed by field path
+    setServerErrors(map) {
+      serverErrors.set(flattenErrors(map));
+    },
+
+    // Clear one field's server error, or all of them
+    clearServerErrors(field) {
+      if (field === undefined) {
+        serverErrors.set({});
+      } else {
+        serverErrors.update(($serverErrors) => {
+          const rest = { ...$serverErrors };
+          delete rest[field];
+          return rest;
+        });
+      }
+    },
+
     // Touch a field (show its errors)
     touch(field) {
       touched.update((t) => ({ ...t, [field]: true }));
@@ -288,7 +409,7 @@ export function createFormStore(initialValues, schema = {}) {
     touchAll() {
       values.subscribe((v) => {
         const allTouched = {};
-        for (const key of Object.keys(v)) {
+        for (const key of [...Object.keys(v), ...Object.keys(schema)]) {
           allTouched[key] = true;
         }
         touched.set(allTouched);
@@ -309,6 +430,7 @@ export function createFormStore(initialValues, schema = {}) {
     reset() {
       values.set({ ...initialValues });
       touched.set({});
+      serverErrors.set({});
       isSubmitting.set(false);
     },
 
@@ -319,7 +441,7 @@ export function createFormStore(initialValues, schema = {}) {
       values.subscribe((v) => { currentValues = v; })();
 
       const allTouched = {};
-      for (const key of Object.keys(currentValues)) {
+      for (const key of [...Object.keys(currentValues), ...Object.keys(schema)]) {
         allTouched[key] = true;
       }
       touched.set(allTouched);
@@ -331,13 +453,17 @@ export function createFormStore(initialValues, schema = {}) {
       }
 
       // Submit
+      serverErrors.set({});
       isSubmitting.set(true);
       submitCount.update((c) => c + 1);
 
       try {
         const result = await onSubmit(currentValues);
+        if (result?.errors) serverErrors.set(flattenErrors(result.errors));
         return { success: true, result };
       } catch (error) {
+        // LiveEventError from reply_error/3 carries the field errors
+        if (error?.errors) serverErrors.set(flattenErrors(error.errors));
         return { success: false, error };
       } finally {
         isSubmitting.set(false);
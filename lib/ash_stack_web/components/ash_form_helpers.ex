@@ -4,6 +4,7 @@ defmodule AshStackWeb.AshFormHelpers do
 
   Provides utilities to:
   - Convert Ash forms to Svelte-compatible props
+  - Send form errors (including nested forms) to `createFormStore`
   - Handle form submission with proper error handling
   - Manage optimistic updates with server reconciliation
 
@@ -125,6 +126,38 @@ defmodule AshStackWeb.AshFormHelpers do
     }
   end
 
+  @doc """
+  Returns the form's errors, including nested forms, keyed by dotted path.
+
+  The keys match `createFormStore` field paths, so the map can be sent
+  with `reply_error/3` and applied with `setServerErrors` (which
+  `createFormHandler` does automatically).
+
+  ## Examples
+
+      svelte_form_errors(form)
+      # => %{"email" => "has already been taken", "address.street" => "is required"}
+
+      def handle_event("save", params, socket) do
+        case submit_form(socket.assigns.form.source, params) do
+          {:ok, user} -> reply_ok(socket, %{id: user.id})
+          {:error, form} -> reply_error(socket, "Please fix the errors below", svelte_form_errors(form))
+        end
+      end
+  """
+  def svelte_form_errors(%Form{} = form) do
+    form
+    |> Form.errors(format: :simple, for_path: :all)
+    |> Enum.flat_map(fn {path, errors} ->
+      Enum.map(errors, fn {field, message} ->
+        {Enum.map_join(path ++ [field], ".", &to_string/1), message}
+      end)
+    end)
+    # Keep the first message for each path
+    |> Enum.reverse()
+    |> Map.new()
+  end
+
   @doc """
   Extracts select options from an Ash attribute's constraints.
 
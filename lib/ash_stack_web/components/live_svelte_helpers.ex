@@ -5,6 +5,7 @@ defmodule AshStackWeb.LiveSvelteHelpers do
   Provides:
   - Flash → Toast auto-conversion
   - Event helpers for Svelte ↔ LiveView communication
+  - Upload state for Svelte file inputs
   - Presence integration utilities
 
   ## Setup
@@ -58,12 +59,17 @@ defmodule AshStackWeb.LiveSvelteHelpers do
   @doc """
   Pushes a toast notification to the client.
 
+  Pass `id:` to be able to change the toast later with `update_toast/3` or
+  `dismiss_toast/2`. Pushing a toast with an id that is already showing
+  (including one the client created) updates it in place.
+
   ## Examples
 
       socket
       |> push_toast(:success, "Changes saved!")
       |> push_toast(:error, "Something went wrong")
       |> push_toast(:info, "Processing...", duration: 0)  # Persistent
+      |> push_toast(:info, "Export started", id: "export-42", duration: 0)
   """
   def push_toast(socket, kind, message, opts \\ []) do
     variant = kind_to_variant(kind)
@@ -77,9 +83,58 @@ defmodule AshStackWeb.LiveSvelteHelpers do
       action: action
     }
 
+    payload =
+      case Keyword.fetch(opts, :id) do
+        {:ok, id} -> Map.put(payload, :id, id)
+        :error -> payload
+      end
+
     Phoenix.LiveView.push_event(socket, "toast", payload)
   end
 
+  @doc """
+  Updates a toast shown earlier, by id, in place.
+
+  Only the given options change. Passing `:duration` restarts the
+  auto-dismiss timer (`0` keeps the toast open).
+
+  ## Options
+
+    * `:message` - New message
+    * `:kind` - New variant (`:success`, `:error`, `:warning`, `:info`)
+    * `:duration` - New auto-dismiss duration in ms
+    * `:action` - New action
+
+  ## Examples
+
+      # Progress of a background job
+      update_toast(socket, "export-42", message: "Exporting... 60%")
+
+      update_toast(socket, "export-42", message: "Export ready", kind: :success, duration: 4000)
+  """
+  def update_toast(socket, id, opts) do
+    changes =
+      opts
+      |> Keyword.take([:message, :kind, :duration, :action])
+      |> Map.new(fn
+        {:kind, kind} -> {:variant, kind_to_variant(kind)}
+        pair -> pair
+      end)
+
+    Phoenix.LiveView.push_event(socket, "toast:update", Map.put(changes, :id, id))
+  end
+
+  @doc """
+  Dismisses a toast by id.
+
+  ## Examples
+
+      dismiss_toast(socket, "export-42")
+  """
+  def dismiss_toast(socket, id) do
+    Phoenix.LiveView.push_event(socket, "toast:dismiss", %{id: id})
+  end
+
   @doc """
   Pushes an event to a specific Svelte component.
 
@@ -98,15 +153,54 @@ defmodule AshStackWeb.LiveSvelteHelpers do
   @doc """
   Pushes updated data to a Svelte store.
 
+  Pass `version:` to start (or reset) a versioned stream that later
+  `push_store_patch/4` calls build on.
+
   ## Examples
 
       # Update a store named "users"
       push_store_update(socket, "users", users)
+
+      # Full value with a version for incremental patches
+      push_store_update(socket, "users", users, version: 12)
   """
-  def push_store_update(socket, store_name, data) do
-    Phoenix.LiveView.push_event(socket, "store:update", %{
+  def push_store_update(socket, store_name, data, opts \\ []) do
+    payload = %{store: store_name, data: data}
+
+    payload =
+      case Keyword.fetch(opts, :version) do
+        {:ok, version} -> Map.put(payload, :version, version)
+        :error -> payload
+      end
+
+    Phoenix.LiveView.push_event(socket, "store:update", payload)
+  end
+
+  @doc """
+  Pushes JSON Patch (RFC 6902) operations to a Svelte store.
+
+  `version` must be exactly one more than the last version the client
+  applied. When the client detects a gap it pushes `"store:resync"` with
+  `%{"store" => name, "version" => last_version}`; answer with a full
+  `push_store_update/4` carrying the current version.
+
+  ## Examples
+
+      socket
+      |> push_store_patch("users", [%{op: "replace", path: "/0/name", value: "Ada"}], 13)
+
+      def handle_event("store:resync", %{"store" => "users"}, socket) do
+        {:noreply,
+         push_store_update(socket, "users", socket.assigns.users,
+           version: socket.assigns.users_version
+         )}
+      end
+  """
+  def push_store_patch(socket, store_name, ops, version) do
+    Phoenix.LiveView.push_event(socket, "store:patch", %{
       store: store_name,
-      data: data
+      ops: ops,
+      version: version
     })
   end
 
@@ -122,6 +216,115 @@ defmodule AshStackWeb.LiveSvelteHelpers do
     |> push_toast(kind, message)
   end
 
+  # =============================================================================
+  # Reply Helpers
+  # =============================================================================
+
+  @doc """
+  Replies to a `pushEventAsync` call with a successful result.
+
+  ## Examples
+
+      def handle_event("search", %{"query" => query}, socket) do
+        reply_ok(socket, %{suggestions: search(query)})
+      end
+  """
+  def reply_ok(socket, data \\ %{}) do
+    {:reply, Map.put(data, :ok, true), socket}
+  end
+
+  @doc """
+  Replies to a `pushEventAsync` call with an error.
+
+  The client rejects the awaiting promise with a `LiveEventError` whose
+  `message` is `message` and whose `errors` is the field error map.
+
+  ## Examples
+
+      def handle_event("save", params, socket) do
+        case save(params) do
+          {:ok, record} -> reply_ok(socket, %{id: record.id})
+          {:error, _} -> reply_error(socket, "Could not save", %{"email" => "is taken"})
+        end
+      end
+  """
+  def reply_error(socket, message, errors \\ %{}) do
+    {:reply, %{error: message, errors: errors}, socket}
+  end
+
+  # =============================================================================
+  # Upload Helpers
+  # =============================================================================
+
+  @doc """
+  Pushes the state of a LiveView upload to `createLiveUpload` / `FileUpload`.
+
+  Sends each entry's ref, client file info, progress and errors, plus
+  upload-level errors (e.g. too many files). Call it from the upload's
+  `:progress` callback and from the form's validate handler so the client
+  sees progress and validation errors as they happen.
+
+  ## Examples
+
+      socket
+      |> allow_upload(:avatar,
+        accept: ~w(.jpg .png),
+        auto_upload: true,
+        progress: fn name, _entry, socket -> {:noreply, push_upload_state(socket, name)} end
+      )
+
+      def handle_event("validate", _params, socket) do
+        {:noreply, push_upload_state(socket, :avatar)}
+      end
+  """
+  def push_upload_state(socket, name) do
+    upload = Map.fetch!(socket.assigns.uploads, name)
+
+    entries =
+      Enum.map(upload.entries, fn entry ->
+        %{
+          ref: entry.ref,
+          client_name: entry.client_name,
+          client_size: entry.client_size,
+          client_last_modified: entry.client_last_modified,
+          progress: entry.progress,
+          done: entry.done?,
+          valid: entry.valid?,
+          errors: Enum.map(Phoenix.Component.upload_errors(upload, entry), &upload_error_message/1)
+        }
+      end)
+
+    Phoenix.LiveView.push_event(socket, "upload:state", %{
+      name: to_string(name),
+      entries: entries,
+      errors: Enum.map(Phoenix.Component.upload_errors(upload), &upload_error_message/1)
+    })
+  end
+
+  @doc """
+  Cancels an upload entry on behalf of the client and pushes the new state.
+
+  Handles the `"upload:cancel"` event that `createLiveUpload` sends when a
+  file is removed from `FileUpload`.
+
+  ## Examples
+
+      def handle_event("upload:cancel", params, socket) do
+        {:noreply, cancel_svelte_upload(socket, params)}
+      end
+  """
+  def cancel_svelte_upload(socket, %{"name" => name, "ref" => ref}) do
+    case Enum.find(Map.keys(socket.assigns.uploads), &(to_string(&1) == name)) do
+      nil ->
+        socket
+
+      upload_name ->
+        socket
+        |> Phoenix.LiveView.cancel_upload(upload_name, ref)
+        |> push_upload_state(upload_name)
+    end
+  end
+
   # =============================================================================
   # Event Handling Helpers
   # =============================================================================
@@ -150,6 +353,36 @@ defmodule AshStackWeb.LiveSvelteHelpers do
     end
   end
 
+  @doc """
+  Handles a `"batch"` event sent by `pushEventBatched`.
+
+  Runs each event through `handler` (usually your own `handle_event/3`) in
+  order and replies with one reply per event: the map from
+  `{:reply, map, socket}`, or `%{}` for `{:noreply, socket}`. Use
+  `reply_error/3` in the handler to fail a single item.
+
+  ## Examples
+
+      def handle_event("batch", params, socket) do
+        handle_svelte_batch(params, socket, &handle_event/3)
+      end
+  """
+  def handle_svelte_batch(%{"events" => events}, socket, handler) when is_list(events) do
+    {replies, socket} =
+      Enum.map_reduce(events, socket, fn
+        %{"event" => "batch"}, socket ->
+          {%{error: "Nested batches are not supported"}, socket}
+
+        %{"event" => event} = item, socket ->
+          case handler.(event, Map.get(item, "payload", %{}), socket) do
+            {:reply, reply, socket} -> {reply, socket}
+            {:noreply, socket} -> {%{}, socket}
+          end
+      end)
+
+    {:reply, %{replies: replies}, socket}
+  end
+
   # =============================================================================
   # Private Helpers
   # =============================================================================
@@ -159,4 +392,11 @@ defmodule AshStackWeb.LiveSvelteHelpers do
   defp kind_to_variant(:warning), do: "warning"
   defp kind_to_variant(:info), do: "info"
   defp kind_to_variant(kind), do: to_string(kind)
+
+  defp upload_error_message(:too_large), do: "File too large"
+  defp upload_error_message(:too_many_files), do: "Too many files"
+  defp upload_error_message(:not_accepted), do: "File type not accepted"
+  defp upload_error_message(:external_client_failure), do: "Upload failed"
+  defp upload_error_message(message) when is_binary(message), do: message
+  defp upload_error_message(error), do: inspect(error)
 end
@@ -5,7 +5,9 @@ defmodule AshStackWeb.RealtimeHelpers do
   Provides:
   - PubSub subscription management
   - Broadcast helpers that sync to Svelte stores
+  - Entity cache updates shared by Svelte stores
   - Presence tracking with Svelte integration
+  - Collaborative cursor relaying
   - Optimistic update reconciliation
 
   ## Usage
@@ -84,6 +86,11 @@ defmodule AshStackWeb.RealtimeHelpers do
       def update_presence(topic, user, meta) do
         AshStackWeb.RealtimeHelpers.update_presence(@presence, topic, user, meta)
       end
+
+      # Cursor helpers
+      def broadcast_cursor(topic, user, params) do
+        AshStackWeb.RealtimeHelpers.broadcast_cursor(@pubsub, topic, user, params)
+      end
     end
   end
 
@@ -96,10 +103,33 @@ defmodule AshStackWeb.RealtimeHelpers do
 
   The payload should contain:
   - `store` - Name of the Svelte store to update
-  - `action` - One of: "set", "append", "prepend", "update", "remove"
-  - `data` - The data to sync (for set/append/prepend)
+  - `action` - One of: "set", "append", "prepend", "update", "remove",
+    "upsert", "upsert_many", "remove_many", "move", "replace_where"
+  - `data` - The data to sync: the item (set/append/prepend/upsert), the
+    items (upsert_many/replace_where), the ids (remove_many) or the item
+    ID (move)
   - `id` - Item ID (for update/remove actions)
   - `changes` - Changes to apply (for update action)
+  - `at` - `"start"` to prepend new items (for upsert_many, default `"end"`)
+  - `from` / `to` - Current and new index (for move; `from` instead of `data`)
+  - `where` - Field values the replaced items match (for replace_where)
+  - `seq` - Optional per-store sequence number (see below)
+
+  Batch actions are applied as one store update on the client.
+
+  ## Sequence numbers
+
+  With `seq`, the client applies messages in order, drops duplicates and
+  buffers early ones. The producer owns the counter and must increment it
+  by exactly one per message for the store (e.g. a version column). When a
+  gap does not fill, the client pushes `"realtime:resync"` with
+  `%{"store" => name, "seq" => last_applied}`. Reply with a snapshot and
+  its seq, or push a `"set"` with a seq:
+
+      def handle_event("realtime:resync", %{"store" => "messages"}, socket) do
+        {messages, seq} = Chat.messages_with_seq(socket.assigns.room_id)
+        {:reply, %{data: messages, seq: seq}, socket}
+      end
 
   ## Examples
 
@@ -114,15 +144,34 @@ defmodule AshStackWeb.RealtimeHelpers do
 
       # Remove from list
       sync_to_store(socket, %{store: "items", action: "remove", id: id})
+
+      # Insert or replace by ID, one or many
+      sync_to_store(socket, %{store: "todos", action: "upsert", data: todo})
+      sync_to_store(socket, %{store: "todos", action: "upsert_many", data: todos, at: "start"})
+
+      # Remove several items
+      sync_to_store(socket, %{store: "todos", action: "remove_many", data: ids})
+
+      # Move an item (by ID or by index) to a new index
+      sync_to_store(socket, %{store: "cards", action: "move", data: card.id, to: 0})
+      sync_to_store(socket, %{store: "cards", action: "move", from: 3, to: 0})
+
+      # Replace every item of a list
+      sync_to_store(socket, %{store: "cards", action: "replace_where", where: %{list_id: 5}, data: cards})
+
+      # Sequenced append
+      sync_to_store(socket, %{store: "messages", action: "append", data: message, seq: 42})
   """
   def sync_to_store(socket, %{store: store, action: action} = payload) do
-    event_payload = build_sync_payload(action, payload)
+    event_payload = build_sync_payload(action, Map.delete(payload, :seq))
 
-    Phoenix.LiveView.push_event(socket, "store:sync", %{
-      store: store,
-      action: action,
-      payload: event_payload
-    })
+    event =
+      case Map.fetch(payload, :seq) do
+        {:ok, seq} when is_integer(seq) -> %{store: store, action: action, payload: event_payload, seq: seq}
+        _ -> %{store: store, action: action, payload: event_payload}
+      end
+
+    Phoenix.LiveView.push_event(socket, "store:sync", event)
   end
 
   defp build_sync_payload("set", %{data: data}), do: %{data: data}
@@ -130,20 +179,65 @@ defmodule AshStackWeb.RealtimeHelpers do
   defp build_sync_payload("prepend", %{data: data}), do: %{item: data}
   defp build_sync_payload("update", %{id: id, changes: changes}), do: %{id: id, changes: changes}
   defp build_sync_payload("remove", %{id: id}), do: %{id: id}
+  defp build_sync_payload("upsert", %{data: data}), do: %{item: data}
+
+  defp build_sync_payload("upsert_many", %{data: items} = payload),
+    do: Map.merge(%{items: items}, Map.take(payload, [:at]))
+
+  defp build_sync_payload("remove_many", %{data: ids}), do: %{ids: ids}
+  # `from` first: broadcast_store_sync always sets `data`, nil for a move by index
+  defp build_sync_payload("move", %{from: from, to: to}), do: %{from: from, to: to}
+  defp build_sync_payload("move", %{data: id, to: to}), do: %{id: id, to: to}
+
+  defp build_sync_payload("replace_where", %{where: where, data: items}),
+    do: %{where: where, items: items}
+
   defp build_sync_payload(_, payload), do: payload
 
+  @doc """
+  Updates entities in the client's entity cache, and so in every realtime
+  store created with that `entity` type, whatever its name.
+
+  `action` is `"upsert"` (data: records) or `"remove"` (data: ids).
+
+  ## Examples
+
+      # A user renamed: every list showing them updates
+      sync_entities(socket, "user", [user])
+
+      sync_entities(socket, "message", [message.id], "remove")
+  """
+  def sync_entities(socket, type, data, action \\ "upsert") when action in ["upsert", "remove"] do
+    Phoenix.LiveView.push_event(socket, "entity:sync", %{type: type, action: action, data: data})
+  end
+
   @doc """
   Broadcasts a store sync to all subscribers.
 
   This is a convenience function that broadcasts a payload that will
   automatically sync to Svelte stores on all connected clients.
+
+  Pass `seq:` so clients can detect dropped or reordered broadcasts
+  (see `sync_to_store/2`). The `at:`, `from:`, `to:` and `where:` options
+  complete the upsert_many, move and replace_where payloads.
+
+  ## Examples
+
+      broadcast_store_sync(MyApp.PubSub, "room:1", "messages", "append", message, seq: room.seq)
+
+      # One message for a whole batch job
+      broadcast_store_sync(MyApp.PubSub, "board:1", "cards", "upsert_many", cards)
+      broadcast_store_sync(MyApp.PubSub, "board:1", "cards", "remove_many", archived_ids)
+      broadcast_store_sync(MyApp.PubSub, "board:1", "cards", "move", card.id, to: 0)
+      broadcast_store_sync(MyApp.PubSub, "board:1", "cards", "move", nil, from: 3, to: 0)
+      broadcast_store_sync(MyApp.PubSub, "board:1", "cards", "replace_where", cards, where: %{list_id: 5})
   """
-  def broadcast_store_sync(pubsub, topic, store, action, data) do
-    payload = %{
-      store: store,
-      action: action,
-      data: data
-    }
+  def broadcast_store_sync(pubsub, topic, store, action, data, opts \\ []) do
+    payload =
+      opts
+      |> Keyword.take([:seq, :at, :from, :to, :where])
+      |> Map.new()
+      |> Map.merge(%{store: store, action: action, data: data})
 
     Phoenix.PubSub.broadcast(pubsub, topic, {:store_sync, payload})
   end
@@ -154,29 +248,52 @@ defmodule AshStackWeb.RealtimeHelpers do
 
   @doc """
   Track a user's presence in a topic.
+
+  Every call (one per LiveView process, so per tab or device) is a
+  separate session of the user with its own meta. `status` defaults to
+  `"online"`.
   """
   def track_presence(presence_module, topic, user, meta \\ %{}) do
-    meta = Map.merge(meta, %{
-      online_at: System.system_time(:second),
-      user_id: user.id,
-      user_name: Map.get(user, :name, Map.get(user, :email, "Anonymous"))
-    })
+    meta =
+      %{status: "online"}
+      |> Map.merge(meta)
+      |> Map.merge(%{
+        online_at: System.system_time(:second),
+        user_id: user.id,
+        user_name: Map.get(user, :name, Map.get(user, :email, "Anonymous"))
+      })
 
     presence_module.track(self(), topic, user.id, meta)
   end
 
   @doc """
   List all users present in a topic.
+
+  Each user has the fields of their first session plus `metas`, the metas
+  of all their sessions.
   """
   def list_presence(presence_module, topic) do
     presence_module.list(topic)
-    |> Enum.map(fn {user_id, %{metas: [meta | _]}} ->
-      Map.put(meta, :id, user_id)
+    |> Enum.map(fn {user_id, %{metas: [meta | _] = metas}} ->
+      Map.merge(meta, %{id: user_id, metas: metas})
     end)
   end
 
   @doc """
-  Update a user's presence metadata.
+  Update a user's presence metadata (of the calling process's session).
+
+  Modules that `use AshStackWeb.RealtimeHelpers` get an `update_presence/3`
+  wrapper that passes the configured presence module.
+
+  ## Examples
+
+      # Status pushed by createIdleDetector()
+      def handle_event("presence:status", %{"status" => status}, socket)
+          when status in ["online", "away", "busy"] do
+        topic = "room:#{socket.assigns.room_id}"
+        update_presence(MyAppWeb.Presence, topic, socket.assigns.current_user, %{status: status})
+        {:noreply, socket}
+      end
   """
   def update_presence(presence_module, topic, user, meta) do
     presence_module.update(self(), topic, user.id, fn existing ->
@@ -198,6 +315,114 @@ defmodule AshStackWeb.RealtimeHelpers do
     })
   end
 
+  @doc """
+  Pushes the full Phoenix Presence state for a topic.
+
+  Consumed by `initPresence(topic)` in `liveview.js`, which keeps every
+  meta per key (one per connection). Call it once after subscribing and
+  forward diffs with `push_presence_diff/3`.
+
+  ## Examples
+
+      def mount(_params, _session, socket) do
+        if connected?(socket), do: Phoenix.PubSub.subscribe(MyApp.PubSub, "room:lobby")
+        {:ok, push_presence_state(socket, "room:lobby", AshStackWeb.Presence)}
+      end
+  """
+  def push_presence_state(socket, topic, presence_module) do
+    Phoenix.LiveView.push_event(socket, "presence_state", %{
+      topic: topic,
+      state: presence_module.list(topic)
+    })
+  end
+
+  @doc """
+  Pushes a Phoenix Presence diff (`%{joins: ..., leaves: ...}`) for a topic.
+
+  ## Examples
+
+      def handle_info(%{event: "presence_diff", payload: diff}, socket) do
+        {:noreply, push_presence_diff(socket, "room:lobby", diff)}
+      end
+  """
+  def push_presence_diff(socket, topic, %{joins: joins, leaves: leaves}) do
+    Phoenix.LiveView.push_event(socket, "presence_diff", %{
+      topic: topic,
+      joins: joins,
+      leaves: leaves
+    })
+  end
+
+  # =============================================================================
+  # Collaborative Cursors
+  # =============================================================================
+
+  @doc """
+  Relays a `"cursor:move"` event from `createCursorStore` to the other
+  processes subscribed to `topic` (not back to the sender).
+
+  `params` are the event params: `"session"`, `"x"`, `"y"` (0..1 across
+  the shared container, nil when the pointer left it) and `"selection"`.
+  Receivers forward the message with `push_cursor/2`.
+
+  ## Examples
+
+      def handle_event("cursor:move", params, socket) do
+        broadcast_cursor(MyApp.PubSub, "doc:\#{socket.assigns.doc_id}", socket.assigns.current_user, params)
+        {:noreply, socket}
+      end
+
+      def handle_info({:cursor_update, payload}, socket) do
+        {:noreply, push_cursor(socket, payload)}
+      end
+  """
+  def broadcast_cursor(pubsub, topic, user, params) do
+    payload = %{
+      topic: topic,
+      user_id: user.id,
+      session: params["session"],
+      x: params["x"],
+      y: params["y"],
+      selection: params["selection"]
+    }
+
+    Phoenix.PubSub.broadcast_from(pubsub, self(), topic, {:cursor_update, payload})
+  end
+
+  @doc """
+  Pushes a relayed cursor (see `broadcast_cursor/4`) to the client.
+  """
+  def push_cursor(socket, payload) do
+    Phoenix.LiveView.push_event(socket, "cursor:update", payload)
+  end
+
+  @doc """
+  Removes a user's cursor (or one session's, with `session`) right away,
+  e.g. when they leave presence, instead of waiting for it to expire.
+
+  A user with several tabs has one cursor per tab, so pass the session of
+  the leaving tab: the `session` the client sends with its cursor, tracked
+  in the presence meta (send `tabId` from tabs.js as a connect param).
+
+  ## Examples
+
+      # In mount: track_presence(topic, user, %{session: get_connect_params(socket)["tab_id"]})
+      def handle_info(%{event: "presence_diff", payload: %{leaves: leaves}}, socket) do
+        socket =
+          for {user_id, %{metas: metas}} <- leaves,
+              %{session: session} <- metas,
+              is_binary(session),
+              reduce: socket do
+            socket -> push_cursor_leave(socket, "doc:\#{socket.assigns.doc_id}", user_id, session)
+          end
+
+        {:noreply, socket}
+      end
+  """
+  def push_cursor_leave(socket, topic, user_id, session \\ nil) do
+    Phoenix.LiveView.push_event(socket, "cursor:leave", %{topic: topic, user_id: user_id, session: session})
+  end
+
   # =============================================================================
   # Optimistic Update Reconciliation
   # =============================================================================